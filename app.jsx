@@ -23,17 +23,68 @@ const BULK_DECK = {
   dailyCap: 12,
 };
 
-// --- Fixed buckets for display only (scheduling is fixed by button) ---
-const BUCKETS = ["0D", "1D", "3D", "7D", "14D", "30D", "90D"];
-function bucketFromDays(d) {
-  if (d <= 0) return "0D";
-  if (d <= 1) return "1D";
-  if (d <= 3) return "3D";
-  if (d <= 7) return "7D";
-  if (d <= 14) return "14D";
-  if (d <= 30) return "30D";
-  if (d <= 90) return "90D";
-  return "90D";
+/* ===========================================
+   Bucket ladders
+   A ladder is the list of fixed intervals (days) a pack schedules with.
+   0D (new / Again) is always the first step. The standard ladder is
+   built in; custom ones live in settings.ladders and are assigned per
+   pack via settings.packLadders (local only).
+=========================================== */
+const STANDARD_LADDER = { id: "standard", name: "Standard (1…90D)", days: [0, 1, 3, 7, 14, 30, 90] };
+const BUCKETS = STANDARD_LADDER.days.map(bucketLabel);
+const MAX_LADDER_STEPS = 9; // grade buttons / number-key shortcuts
+
+function bucketLabel(d) { return `${d}D`; }
+function bucketDays(bucket) { const n = parseInt(bucket, 10); return Number.isFinite(n) ? n : 0; }
+function ladderBuckets(ladder) { return ladder.days.map(bucketLabel); }
+// Grade labels (buttons) for a ladder: every step except 0D
+function ladderGrades(ladder) { return ladder.days.filter((d) => d > 0).map(bucketLabel); }
+
+// Smallest step that covers `d` days (clamped to the top step)
+function bucketOnLadder(d, ladder = STANDARD_LADDER) {
+  for (const step of ladder.days) if (d <= step) return bucketLabel(step);
+  return bucketLabel(ladder.days[ladder.days.length - 1]);
+}
+
+// Map a bucket from another ladder to the closest step (ties go to the shorter one)
+function nearestBucket(bucket, ladder) {
+  const d = bucketDays(bucket);
+  let best = ladder.days[0];
+  for (const step of ladder.days) if (Math.abs(step - d) < Math.abs(best - d)) best = step;
+  return bucketLabel(best);
+}
+
+// "1, 2, 4, 8" → [0, 1, 2, 4, 8]; null when nothing usable
+function parseLadderDays(text) {
+  const nums = String(text || "")
+    .split(/[\s,;/]+/)
+    .map((x) => parseInt(x, 10))
+    .filter((n) => Number.isFinite(n) && n > 0);
+  const days = Array.from(new Set(nums)).sort((a, b) => a - b).slice(0, MAX_LADDER_STEPS);
+  return days.length ? [0, ...days] : null;
+}
+
+function allLadders(settings) {
+  const custom = Object.values(settings?.ladders || {}).filter((l) => l && Array.isArray(l.days) && l.days.length > 1);
+  return [STANDARD_LADDER, ...custom];
+}
+
+function ladderForPack(settings, pack) {
+  const id = settings?.packLadders?.[pack];
+  return (id && settings?.ladders?.[id]) || STANDARD_LADDER;
+}
+
+// Map buckets that don't exist on the pack's ladder to the nearest step
+function migrateCardsToLadders(cards, settings) {
+  return cards.map((c) => {
+    if (!c?.srs) return c;
+    const ladder = ladderForPack(settings, c.pack);
+    const buckets = ladderBuckets(ladder);
+    const fix = (sub) => (!sub || buckets.includes(sub.bucket) ? sub : { ...sub, bucket: nearestBucket(sub.bucket, ladder) });
+    const slow = fix(c.srs.slow), fast = fix(c.srs.fast), ref = fix(c.srs.ref);
+    if (slow === c.srs.slow && fast === c.srs.fast && ref === c.srs.ref) return c;
+    return { ...c, srs: { ...c.srs, slow, fast, ...(ref ? { ref } : {}) }, updatedAt: now() };
+  });
 }
 
 // For migration bookkeeping
@@ -46,14 +97,14 @@ function makeInitialSrs() {
     bucket: "0D",
     nextDue: 0,
     updatedAt: t,
-    // legacy fields kept for backward-compat; not used by fixed scheduling
+    // not used by fixed scheduling; maintained by the adaptive scheduler
     ease: 2.5,
     reps: 0,
     lapses: 0,
     intervalDays: 0,
     leech: false,
   };
-  return { slow: { ...sub }, fast: { ...sub } };
+  return { slow: { ...sub }, fast: { ...sub }, ref: { ...sub } };
 }
 
 function hashString(s) {
@@ -115,7 +166,7 @@ function saveState(state) {
 }
 function loadState() {
   const raw = localStorage.getItem(LS_KEY);
-  if (!raw) return { cards: [], settings: defaultSettings(), capLog: {}, history: [], daily: { key: todayKey(), slow:0, fast:0 }, test: defaultTestState(), bulkProgress: defaultBulkProgress() };
+  if (!raw) return { cards: [], settings: defaultSettings(), capLog: {}, history: [], daily: { key: todayKey(), slow:0, fast:0 }, test: defaultTestState(), bulkProgress: defaultBulkProgress(), pauses: [] };
   try {
     const parsed = JSON.parse(raw);
     if (!parsed.settings) parsed.settings = defaultSettings();
@@ -124,16 +175,17 @@ function loadState() {
     if (!parsed.daily) parsed.daily = { key: todayKey(), slow:0, fast:0 };
     parsed.test = coerceTestState(parsed);
     parsed.bulkProgress = coerceBulkProgress(parsed.bulkProgress);
+    parsed.pauses = coercePauses(parsed.pauses);
     return parsed;
   } catch {
-    return { cards: [], settings: defaultSettings(), capLog: {}, history: [], daily: { key: todayKey(), slow:0, fast:0 }, test: defaultTestState(), bulkProgress: defaultBulkProgress() };
+    return { cards: [], settings: defaultSettings(), capLog: {}, history: [], daily: { key: todayKey(), slow:0, fast:0 }, test: defaultTestState(), bulkProgress: defaultBulkProgress(), pauses: [] };
   }
 }
 
 
 // --- Migration & ordering ---
 
-// Ensure srs.slow / srs.fast exist on a card
+// Ensure srs.slow / srs.fast / srs.ref exist on a card
 function migrateCardSRS(card) {
   const reviewSystem = card?.reviewSystem || card?.review_system || "srs";
   if (card?.srs?.slow || card?.srs?.fast) {
@@ -146,6 +198,7 @@ function migrateCardSRS(card) {
       lapses: Number.isFinite(sub?.lapses) ? sub.lapses : 0,
       intervalDays: Number.isFinite(sub?.intervalDays) ? sub.intervalDays : 0,
       leech: !!sub?.leech,
+      ...(sub?.coupled ? { coupled: sub.coupled } : {}),
     });
     return {
       ...card,
@@ -153,6 +206,7 @@ function migrateCardSRS(card) {
       srs: {
         slow: normalize(card.srs.slow),
         fast: normalize(card.srs.fast),
+        ref: normalize(card.srs.ref),
       },
     };
   }
@@ -207,6 +261,16 @@ function defaultWritingOptions() {
     caseInsensitive: false,    // 5) Case-insensitive (off)
     normalizeQuoteHyphen: true,// 6) Normalize quotes/hyphens (on)
     stripZeroWidth: true,      // 7) Strip ZW + NBSP (on)
+    ignoreDiacritics: false,   // 8) Ignore accents on Latin letters (off)
+    accentHalfError: false,    // 9) Accent-only slips count as half errors (off)
+    hangulJamo: false,         // 10) Partial credit for Hangul syllables by jamo (off)
+    liveMode: "off",           // word-by-word checking while typing: "off" | "live" | "strict"
+    liveRevealAfter: 3,        // strict: reveal the word after N failed attempts (0 = never)
+    diffView: "chars",         // default feedback view: "chars" | "words"
+    // suggested grade: minimum accuracy % for Hard / Good / Easy (below Hard = Again)
+    gradeHard: 70,
+    gradeGood: 90,
+    gradeEasy: 100,
   };
 }
 
@@ -218,54 +282,427 @@ function upgradeSettings(settings) {
   }
   if (s.mode === "full") s.mode = "review";
   // ensure writing options exist
-  if (!s.writing) s.writing = defaultWritingOptions();
+  s.writing = { ...defaultWritingOptions(), ...(s.writing || {}) };
+  if (!s.packSchedulers || typeof s.packSchedulers !== "object") s.packSchedulers = {};
+  if (!Number.isFinite(s.leechThreshold) || s.leechThreshold < 1) s.leechThreshold = DEFAULT_LEECH_THRESHOLD;
+  if (!Number.isFinite(s.backlogDays) || s.backlogDays < 1) s.backlogDays = DEFAULT_BACKLOG_DAYS;
+  if (!s.ladders || typeof s.ladders !== "object") s.ladders = {};
+  if (!s.packLadders || typeof s.packLadders !== "object") s.packLadders = {};
+  if (!Number.isFinite(s.newPerDay) || s.newPerDay < 0) s.newPerDay = DEFAULT_NEW_PER_DAY;
+  if (!s.packNewPerDay || typeof s.packNewPerDay !== "object") s.packNewPerDay = {};
+  if (!NEW_CARD_ORDERS.includes(s.newCardOrder)) s.newCardOrder = "mixed";
+  s.coupling = coerceCoupling(s.coupling);
+  s.cloze = coerceCloze(s.cloze);
+  s.nextChoice = coerceNextChoice(s.nextChoice);
+  s.transitions = coerceTransitions(s.transitions);
+  if (!REF_DISPLAYS.includes(s.refDisplay)) s.refDisplay = "original";
+  if (!Number.isInteger(s.dayRolloverHour) || s.dayRolloverHour < 0 || s.dayRolloverHour > 23) s.dayRolloverHour = DEFAULT_DAY_ROLLOVER_HOUR;
   return s;
 }
 
-// --- Fixed scheduler helpers: map labels to exact day intervals ---
-const LABEL_TO_DAYS = {
-  Again: 0,
-  "1D": 1,
-  "3D": 3,
-  "7D": 7,
-  "14D": 14,
-  "30D": 30,
-  "90D": 90,
-};
+// --- Fixed scheduler helpers: map labels ("Again", "7D", "180D", …) to exact day intervals ---
+function labelToDays(label) {
+  return label === "Again" ? 0 : bucketDays(label);
+}
 
-// Optional small jitter so due lists aren't perfectly synchronized
-function applyFixedSchedule(sub, days, jitterPct = 0.1) {
+/* ======================================================================
+   Workload-aware load balancing
+   Within the ±jitterPct window around the target interval, pick the day
+   with the fewest cards already due on the same schedule, avoiding days
+   at/over the daily cap. Ties go to the day closest to the target, then
+   to a seeded PRNG so results are deterministic for a given seed.
+====================================================================== */
+
+// mulberry32 over a string seed
+function seededRandom(seed) {
+  let a = parseInt(hashString(String(seed)), 36) >>> 0;
+  return function () {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Count of cards due per whole-day offset from `fromTs` on one schedule
+function dueLoadByDay(cards, scheduleKey, excludeId = null, fromTs = now()) {
+  const load = new Map();
+  for (const c of cards) {
+    if (c.id === excludeId) continue;
+    const due = c?.srs?.[scheduleKey]?.nextDue ?? 0;
+    const offset = Math.max(0, Math.round((due - fromTs) / day));
+    load.set(offset, (load.get(offset) || 0) + 1);
+  }
+  return load;
+}
+
+// Choose an interval (days) inside the jitter window; `load` is a Map(dayOffset → count)
+function pickBalancedInterval(interval, jitterPct, load, cap, seed) {
+  if (interval <= 0) return 0;
+  if (!(jitterPct > 0)) return interval;
+  const lo = Math.max(1, Math.round(interval * (1 - jitterPct)));
+  const hi = Math.max(lo, Math.round(interval * (1 + jitterPct)));
+  const rand = seededRandom(seed);
+  let best = null;
+  for (let d = lo; d <= hi; d++) {
+    const n = load?.get(d) || 0;
+    const cand = {
+      d,
+      full: cap > 0 && n >= cap ? 1 : 0,
+      n,
+      dist: Math.abs(d - interval),
+      tie: rand(),
+    };
+    if (
+      !best ||
+      cand.full < best.full ||
+      (cand.full === best.full && (cand.n < best.n ||
+        (cand.n === best.n && (cand.dist < best.dist ||
+          (cand.dist === best.dist && cand.tie < best.tie)))))
+    ) best = cand;
+  }
+  return best.d;
+}
+
+// `balance` = { load, cap, seed } spreads due dates by workload;
+// without it we fall back to plain random jitter.
+function applyFixedSchedule(sub, days, jitterPct = 0.1, balance = null, ladder = STANDARD_LADDER) {
   const nowTs = now();
   let interval = Math.max(0, Math.round(days));
   if (interval > 0 && jitterPct > 0) {
-    const j = 1 + (Math.random() * 2 * jitterPct - jitterPct);
-    interval = Math.max(1, Math.round(interval * j));
+    if (balance) {
+      interval = pickBalancedInterval(interval, jitterPct, balance.load, balance.cap, balance.seed);
+    } else {
+      const j = 1 + (Math.random() * 2 * jitterPct - jitterPct);
+      interval = Math.max(1, Math.round(interval * j));
+    }
   }
   const nextDue = nowTs + interval * day;
   return {
     ...sub,
-    bucket: bucketFromDays(interval),
+    bucket: bucketOnLadder(interval, ladder),
     nextDue,
     updatedAt: nowTs,
     intervalDays: interval, // for reference in stats
   };
 }
 
-// Apply chosen fixed label to the correct schedule (fast for recognition; slow otherwise)
-function applyLabel(card, label, mode, jitterPct = 0.1) {
-  const key = mode === "recognition" ? "fast" : "slow";
-  const days = LABEL_TO_DAYS[label] ?? 0;
-  const updatedSub = applyFixedSchedule(card.srs[key], days, jitterPct);
+// Apply chosen fixed label to the correct schedule (see scheduleKeyForMode)
+function applyLabel(card, label, mode, jitterPct = 0.1, balance = null, ladder = STANDARD_LADDER) {
+  const key = scheduleKeyForMode(mode);
+  const days = labelToDays(label);
+  const updatedSub = applyFixedSchedule(card.srs[key] || makeInitialSrs()[key], days, jitterPct, balance, ladder);
+  return { ...card, srs: { ...card.srs, [key]: updatedSub }, updatedAt: now() };
+}
+
+/* ======================================================================
+   Adaptive scheduler (SM-2 style)
+   - Selectable per pack via settings.packSchedulers[pack] = "adaptive"
+   - Grades are recall quality (Again/Hard/Good/Easy), not fixed days
+   - Uses ease / reps / lapses / intervalDays on the schedule sub-object;
+     cards that were only ever fixed-scheduled are seeded from `history`
+====================================================================== */
+const SCHEDULERS = ["fixed", "adaptive"];
+const ADAPTIVE_GRADES = ["Again", "Hard", "Good", "Easy"];
+const GRADE_QUALITY = { Again: 1, Hard: 3, Good: 4, Easy: 5 };
+const MIN_EASE = 1.3;
+const ADAPTIVE_GRADE_CLASS = {
+  Again: "bg-rose-600 text-white",
+  Hard: "bg-amber-500 text-white",
+  Good: "bg-indigo-600 text-white",
+  Easy: "bg-emerald-600 text-white",
+};
+
+function schedulerForPack(settings, pack) {
+  const s = settings?.packSchedulers?.[pack];
+  return SCHEDULERS.includes(s) ? s : "fixed";
+}
+
+// Derive SM-2 state from past reviews when the sub-object has never been graded adaptively
+function seedAdaptiveFromHistory(sub, cardHistory) {
+  if ((sub?.reps || 0) > 0 || !cardHistory?.length) return sub;
+  if (cardHistory.some((h) => ADAPTIVE_GRADES.includes(h.grade))) return sub; // already adaptive
+  const sorted = cardHistory.slice().sort((a, b) => (a.ts || 0) - (b.ts || 0));
+  let reps = 0, lapses = 0, ease = Number.isFinite(sub?.ease) ? sub.ease : 2.5;
+  for (const h of sorted) {
+    if (isLapse(h.fromBucket, h.toBucket)) {
+      lapses++; reps = 0; ease = Math.max(MIN_EASE, ease - 0.2);
+    } else {
+      reps++;
+      if (bucketDays(h.toBucket) > 2 * Math.max(1, bucketDays(h.fromBucket))) ease += 0.05;
+    }
+  }
+  return { ...sub, reps, lapses: Math.max(lapses, sub?.lapses || 0), ease: Math.round(ease * 100) / 100 };
+}
+
+// Next interval (days, no jitter) + updated SM-2 fields for a grade
+function adaptiveNext(sub, grade, cardHistory) {
+  const seeded = seedAdaptiveFromHistory(sub, cardHistory);
+  const q = GRADE_QUALITY[grade] ?? GRADE_QUALITY.Good;
+  let ease = Number.isFinite(seeded.ease) ? seeded.ease : 2.5;
+  let reps = seeded.reps || 0;
+  const prev = Math.max(0, seeded.intervalDays || 0);
+  const elapsed = seeded.updatedAt && prev > 0 ? Math.max(0, (now() - seeded.updatedAt) / day) : 0;
+
+  if (grade === "Again") {
+    return { days: 0, ease: Math.round(Math.max(MIN_EASE, ease - 0.2) * 100) / 100, reps: 0, lapses: seeded.lapses || 0 };
+  }
+
+  ease = Math.max(MIN_EASE, ease + (0.1 - (5 - q) * (0.08 + (5 - q) * 0.02)));
+  let days;
+  if (reps === 0) days = grade === "Easy" ? 4 : 1;
+  else if (reps === 1) days = grade === "Hard" ? 3 : grade === "Good" ? 6 : 8;
+  else {
+    // reward reviews that were late but still recalled
+    const base = grade === "Hard" ? prev : Math.max(prev, Math.min(elapsed, prev * 2));
+    days = grade === "Hard" ? base * 1.2 : grade === "Good" ? base * ease : base * ease * 1.3;
+    if (grade !== "Hard") days = Math.max(days, prev + 1);
+  }
+  return { days: Math.round(days), ease: Math.round(ease * 100) / 100, reps: reps + 1, lapses: seeded.lapses || 0 };
+}
+
+// Apply an adaptive grade to the correct schedule (same key rules as applyLabel)
+function applyAdaptiveGrade(card, grade, mode, jitterPct = 0.1, cardHistory = [], balance = null, ladder = STANDARD_LADDER) {
+  const key = scheduleKeyForMode(mode);
+  const sub = card.srs[key] || makeInitialSrs()[key];
+  const next = adaptiveNext(sub, grade, cardHistory);
+  const scheduled = applyFixedSchedule(sub, next.days, jitterPct, balance, ladder);
+  const updatedSub = { ...scheduled, ease: next.ease, reps: next.reps, lapses: next.lapses };
   return { ...card, srs: { ...card.srs, [key]: updatedSub }, updatedAt: now() };
 }
 
+/* =========================
+   Leeches
+   A lapse = a grade that sends a card back to 0D/1D after it had reached a
+   longer bucket. `leech` sticks once lapses reach settings.leechThreshold
+   and is only cleared by the user (after reworking the verse).
+========================= */
+const DEFAULT_LEECH_THRESHOLD = 4;
+
+function isLapse(fromBucket, toBucket) {
+  return bucketDays(fromBucket) > 1 && bucketDays(toBucket) <= 1;
+}
+
+// Count a lapse on the graded schedule and flag the card as a leech past the threshold
+function trackLapse(prevCard, nextCard, scheduleKey, threshold = DEFAULT_LEECH_THRESHOLD) {
+  const before = prevCard?.srs?.[scheduleKey];
+  const after = nextCard?.srs?.[scheduleKey];
+  if (!before || !after || !isLapse(before.bucket, after.bucket)) return nextCard;
+  const lapses = Math.max(after.lapses || 0, before.lapses || 0) + 1;
+  const leech = !!after.leech || lapses >= Math.max(1, threshold);
+  return { ...nextCard, srs: { ...nextCard.srs, [scheduleKey]: { ...after, lapses, leech } } };
+}
+
+function clearLeech(card, scheduleKey) {
+  const sub = card?.srs?.[scheduleKey];
+  if (!sub || (!sub.leech && !sub.lapses)) return card;
+  return { ...card, srs: { ...card.srs, [scheduleKey]: { ...sub, leech: false, lapses: 0 } }, updatedAt: now() };
+}
+
+/* =========================
+   Schedule coupling (slow ⇄ fast) — local only
+   Optional rules linking the two schedules of a card:
+   - push: a slow grade landing ≥ pushMinDays out moves the fast due date to
+     at least pushFactor × that interval (knowing how to write it implies
+     recognising it)
+   - pull: a lapse on the fast schedule brings the slow due date in to at
+     most pullDays from now
+   The touched sub records { from, rule, at } in `coupled` for VersesView.
+========================= */
+const DEFAULT_COUPLING = { enabled: false, push: true, pushMinDays: 7, pushFactor: 0.5, pull: true, pullDays: 1 };
+
+function coerceCoupling(c) {
+  const base = { ...DEFAULT_COUPLING, ...(c && typeof c === "object" ? c : {}) };
+  const num = (v, d, min) => (Number.isFinite(Number(v)) && Number(v) >= min ? Number(v) : d);
+  return {
+    enabled: !!base.enabled, push: !!base.push, pull: !!base.pull,
+    pushMinDays: num(base.pushMinDays, DEFAULT_COUPLING.pushMinDays, 1),
+    pushFactor: Math.min(1, num(base.pushFactor, DEFAULT_COUPLING.pushFactor, 0)),
+    pullDays: num(base.pullDays, DEFAULT_COUPLING.pullDays, 0),
+  };
+}
+
+function describeCoupling(c) {
+  if (!c?.enabled) return "Off — slow and fast schedules are independent.";
+  const parts = [];
+  if (c.push) parts.push(`slow ≥ ${c.pushMinDays}d pushes fast to ≥ ${Math.round(c.pushFactor * 100)}% of that interval`);
+  if (c.pull) parts.push(`a fast lapse pulls slow in to ≤ ${c.pullDays}d`);
+  return parts.length ? parts.join("; ") + "." : "On, but no rules selected.";
+}
+
+// Apply the coupling rules after `scheduleKey` went from prevCard to nextCard
+function applyCoupling(prevCard, gradedCard, scheduleKey, coupling, t = now()) {
+  const graded = gradedCard?.srs?.[scheduleKey];
+  if (!graded) return gradedCard;
+  // a direct grade supersedes any earlier coupling note on this schedule
+  const { coupled: _note, ...after } = graded;
+  const nextCard = { ...gradedCard, srs: { ...gradedCard.srs, [scheduleKey]: after } };
+  if (!coupling?.enabled) return nextCard;
+  if (scheduleKey === "slow" && coupling.push) {
+    const interval = Math.round((after.nextDue - t) / day);
+    const fast = nextCard.srs.fast;
+    if (!fast || interval < coupling.pushMinDays) return nextCard;
+    const target = t + Math.round(interval * coupling.pushFactor) * day;
+    if ((fast.nextDue ?? 0) >= target) return nextCard;
+    return { ...nextCard, srs: { ...nextCard.srs, fast: { ...fast, nextDue: target, coupled: { from: "slow", rule: "push", at: t } } } };
+  }
+  if (scheduleKey === "fast" && coupling.pull) {
+    const before = prevCard?.srs?.fast;
+    const slow = nextCard.srs.slow;
+    if (!before || !slow || isNewSub(slow) || !isLapse(before.bucket, after.bucket)) return nextCard;
+    const target = t + coupling.pullDays * day;
+    if (slow.nextDue <= target) return nextCard;
+    return { ...nextCard, srs: { ...nextCard.srs, slow: { ...slow, nextDue: target, coupled: { from: "fast", rule: "pull", at: t } } } };
+  }
+  return nextCard;
+}
+
+/* =========================
+   Backlog recovery
+   When overdue cards exceed `backlogDays` days of the daily goal, spread
+   them over the coming days instead of letting pack order decide which
+   verses get seen. Most overdue (relative to their interval) go first.
+   Never-reviewed cards are not backlog; the new-card limit paces them.
+========================= */
+const DEFAULT_BACKLOG_DAYS = 2;
+
+// How late a review is, in multiples of its own interval (higher = more urgent)
+function overduePriority(sub, t = now()) {
+  const due = sub?.nextDue ?? 0;
+  return (t - due) / (Math.max(1, sub?.intervalDays || 0) * day);
+}
+
+function overdueCards(cards, scheduleKey, t = now()) {
+  return cards.filter((c) => !isNewSub(c?.srs?.[scheduleKey]) && c.srs[scheduleKey].nextDue <= t);
+}
+
+// -> { scheduleKey, total, days: [{ offset, ids }] } (offset 0 = today)
+function planBacklogRecovery(cards, scheduleKey, { cap, todayLeft, t = now() }) {
+  const overdue = overdueCards(cards, scheduleKey, t);
+  const ranked = overdue.slice().sort((a, b) => {
+    const pa = overduePriority(a.srs[scheduleKey], t), pb = overduePriority(b.srs[scheduleKey], t);
+    if (pa !== pb) return pb - pa;
+    if (a.pack !== b.pack) return String(a.pack).localeCompare(String(b.pack));
+    return (a.order ?? Number.POSITIVE_INFINITY) - (b.order ?? Number.POSITIVE_INFINITY);
+  });
+  const overdueIds = new Set(overdue.map((c) => c.id));
+  const load = dueLoadByDay(cards.filter((c) => !overdueIds.has(c.id)), scheduleKey, null, t);
+  const days = [];
+  let i = 0;
+  for (let offset = 0; i < ranked.length; offset++) {
+    const room = offset === 0 ? Math.max(0, todayLeft) : Math.max(1, cap - (load.get(offset) || 0));
+    if (room === 0) continue;
+    const ids = ranked.slice(i, i + room).map((c) => c.id);
+    days.push({ offset, ids });
+    i += ids.length;
+  }
+  return { scheduleKey, total: ranked.length, days };
+}
+
+// Move every card planned for a later day to that day; today's share stays due
+function applyRecoveryPlan(cards, plan, t = now()) {
+  const dueAt = new Map();
+  for (const d of plan.days) if (d.offset > 0) for (const id of d.ids) dueAt.set(id, t + d.offset * day);
+  const key = plan.scheduleKey;
+  return cards.map((c) => {
+    const due = dueAt.get(c.id);
+    if (due == null) return c;
+    return { ...c, srs: { ...c.srs, [key]: { ...c.srs[key], nextDue: due } }, updatedAt: t };
+  });
+}
+
+/* =========================
+   New-card introduction
+   A card is "new" on a schedule until it is graded there for the first time
+   (makeInitialSrs leaves nextDue at 0). New cards are introduced in pack
+   order, at most `newPerDay` per schedule per day (optionally lower per pack
+   via `packNewPerDay`), and mixed into the review queue per `newCardOrder`:
+   "mixed" spreads them evenly, "newFirst" / "reviewsFirst" put them at an end.
+========================= */
+const DEFAULT_NEW_PER_DAY = 20;
+const NEW_CARD_ORDERS = ["mixed", "newFirst", "reviewsFirst"];
+
+function isNewSub(sub) {
+  return !sub || !((sub.nextDue ?? 0) > 0);
+}
+
+// Cards introduced on `dayKey` on each schedule -> { slow: {total, byPack}, fast: {...}, ref: {...}, seam: {...} }
+// A row counts when the card was still new on that schedule when it was graded (`isNew`, set by gradeCard),
+// so pulled history that starts 30 days back can't make an old card look new again.
+function newIntroducedOn(history, dayKey) {
+  const out = { slow: { total: 0, byPack: {} }, fast: { total: 0, byPack: {} }, ref: { total: 0, byPack: {} }, seam: { total: 0, byPack: {} } };
+  for (const h of history) {
+    if (!h.isNew || isoDay(h.ts || 0) !== dayKey) continue;
+    const o = out[h.mode] || out.fast;
+    o.total++; o.byPack[h.pack] = (o.byPack[h.pack] || 0) + 1;
+  }
+  return out;
+}
+
+function newLimitForPack(settings, pack) {
+  const global = Number.isFinite(settings?.newPerDay) ? settings.newPerDay : DEFAULT_NEW_PER_DAY;
+  const own = settings?.packNewPerDay?.[pack];
+  return Number.isFinite(own) ? Math.min(own, global) : global;
+}
+
+// Pick today's new cards from `fresh` (already in pack order)
+function pickNewCards(fresh, settings, introduced) {
+  let left = Math.max(0, (Number.isFinite(settings?.newPerDay) ? settings.newPerDay : DEFAULT_NEW_PER_DAY) - introduced.total);
+  const usedByPack = { ...introduced.byPack };
+  const out = [];
+  for (const c of fresh) {
+    if (left <= 0) break;
+    if ((usedByPack[c.pack] || 0) >= newLimitForPack(settings, c.pack)) continue;
+    out.push(c);
+    usedByPack[c.pack] = (usedByPack[c.pack] || 0) + 1;
+    left--;
+  }
+  return out;
+}
+
+function interleaveNewCards(reviews, fresh, order = "mixed") {
+  if (order === "newFirst") return fresh.concat(reviews);
+  if (order === "reviewsFirst" || !fresh.length) return reviews.concat(fresh);
+  // one new card after every `step` reviews
+  const step = Math.max(1, Math.round(reviews.length / (fresh.length + 1)));
+  const out = [];
+  let n = 0;
+  reviews.forEach((c, i) => {
+    out.push(c);
+    if ((i + 1) % step === 0 && n < fresh.length) out.push(fresh[n++]);
+  });
+  return out.concat(fresh.slice(n));
+}
+
+function fmtDays(d) {
+  if (d <= 0) return "<1d";
+  if (d < 60) return `${d}d`;
+  if (d < 365) return `${Math.round(d / 30)}mo`;
+  return `${Math.round(d / 36.5) / 10}y`;
+}
+
 // --- Misc helpers ---
 function ordinal(n) {
   const s = ["th", "st", "nd", "rd"], v = n % 100;
   return n + (s[(v - 20) % 10] || s[v] || s[0]);
 }
+// Modes where the verse is produced from memory (typed or assembled) and graded on the slow schedule
+const TYPED_MODES = ["writing", "firstletter", "cloze", "scramble"];
+const TYPED_MODE_LABELS = { writing: "Writing", firstletter: "First-letter", cloze: "Cloze", scramble: "Scramble" };
+function isTypedMode(mode) { return TYPED_MODES.includes(mode); }
+// Modes that score an answer first and suggest a grade from it
+function isScoredMode(mode) { return isTypedMode(mode) || mode === "reference" || mode === "next"; }
+// Which schedule a mode grades: recognition / what-comes-next → fast, reference recall → ref,
+// transitions → seam (on transition cards), the rest → slow
+function scheduleKeyForMode(mode) {
+  if (mode === "transition") return "seam";
+  return mode === "recognition" || mode === "next" ? "fast" : mode === "reference" ? "ref" : "slow";
+}
+// Daily goals/counters: the ref and seam schedules are quick drills and share the fast goal
+function capKeyFor(scheduleKey) { return scheduleKey === "slow" ? "slow" : "fast"; }
 function getActiveBucket(card, mode) {
-  const key = mode === "recognition" ? "fast" : "slow";
+  const key = scheduleKeyForMode(mode);
   return card?.srs?.[key]?.bucket || "0D";
 }
 function daysSince(ts) { if (!ts) return null; return Math.floor((now() - ts) / day); }
@@ -274,26 +711,118 @@ function previewText(text, words = 6) {
   const parts = String(text || "").split(/\s+/);
   return parts.slice(0, words).join(" ") + (parts.length > words ? " …" : "");
 }
-function todayKey() { return new Date().toISOString().slice(0, 10); }
+
+/* ===========================================
+   Day keys ("YYYY-MM-DD")
+   Computed in the device's local timezone, shifted by the rollover hour:
+   with a 4am rollover, 02:30 on the 5th still counts as the 4th. Used for
+   daily caps, capLog, bulk dailyKey, pauses and history grouping.
+   Arithmetic on keys (add/diff/week start) is calendar-only (UTC dates).
+=========================================== */
+const DEFAULT_DAY_ROLLOVER_HOUR = 4;
+const DAY_KEY_VERSION = 2; // 1 = UTC dates, 2 = local + rollover
+const DAY_KEY_RE = /^\d{4}-\d{2}-\d{2}$/;
+let dayRolloverHour = DEFAULT_DAY_ROLLOVER_HOUR;
+
+function setDayRolloverHour(h) {
+  const n = Number(h);
+  dayRolloverHour = Number.isFinite(n) ? Math.min(23, Math.max(0, Math.round(n))) : DEFAULT_DAY_ROLLOVER_HOUR;
+}
+function dayKeyOf(ts) {
+  const d = new Date(ts - dayRolloverHour * 60 * 60 * 1000);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
+// Timestamp at which a day key begins (local time, rollover hour)
+function dayKeyStartTs(k) {
+  const [y, m, d] = k.split("-").map(Number);
+  return new Date(y, m - 1, d, dayRolloverHour).getTime();
+}
+function utcDayKey(ts) { return new Date(ts).toISOString().slice(0, 10); }
+function todayKey() { return dayKeyOf(now()); }
 function isoDay(dateLike) {
-  const d = new Date(dateLike);
-  const z = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
-  return z.toISOString().slice(0, 10);
+  if (typeof dateLike === "string" && DAY_KEY_RE.test(dateLike)) return dateLike;
+  return dayKeyOf(new Date(dateLike).getTime());
 }
+function dayKeyToTs(k) { return Date.parse(`${k}T00:00:00Z`); }
+function addDaysKey(k, n) { return utcDayKey(dayKeyToTs(k) + n * day); }
+function dayDiff(a, b) { return Math.round((dayKeyToTs(b) - dayKeyToTs(a)) / day); }
 function startOfWeekISO(dt) {
-  const d = new Date(dt);
-  const w = (d.getUTCDay() + 6) % 7;            // ← use UTC day
-  d.setUTCDate(d.getUTCDate() - w);
-  d.setUTCHours(0,0,0,0);
-  return d.toISOString().slice(0,10);
+  const k = isoDay(dt);
+  const w = (new Date(dayKeyToTs(k)).getUTCDay() + 6) % 7; // Monday-based
+  return addDaysKey(k, -w);
 }
 function weekKey(dt) { return startOfWeekISO(dt); }
-function monthKey(dt) { const d=new Date(dt); return `${d.getUTCFullYear()}-${String(d.getUTCMonth()+1).padStart(2,'0')}`; }
-function yearKey(dt) { return String(new Date(dt).getUTCFullYear()); }
+function monthKey(dt) { return isoDay(dt).slice(0, 7); }
+function yearKey(dt) { return isoDay(dt).slice(0, 4); }
+
+// One-time move from UTC day keys: keep today's bulk batch, cap snapshot and
+// daily counters attached to the same (now local) day. History itself only
+// stores timestamps, so its grouping follows the new keys automatically.
+function migrateDayKeys({ daily, bulkProgress, capLog, history }) {
+  const tk = todayKey();
+  const utcToday = utcDayKey(now());
+  const nextBulk = bulkProgress?.dailyKey === utcToday ? { ...bulkProgress, dailyKey: tk } : bulkProgress;
+  const nextCapLog = capLog?.[utcToday] && !capLog[tk] ? { ...capLog, [tk]: capLog[utcToday] } : capLog;
+  let slow = 0, fast = 0;
+  for (const h of history || []) if (isoDay(h.ts || 0) === tk) { if (h.mode === "slow") slow++; else fast++; }
+  return { daily: { key: tk, slow: Math.max(slow, daily?.key === tk ? daily.slow : 0), fast: Math.max(fast, daily?.key === tk ? daily.fast : 0) }, bulkProgress: nextBulk, capLog: nextCapLog };
+}
+
+/* ===========================================
+   Vacation / pause — local only
+   Pause: { id, start, end, resumedOn, shiftDays } (day keys, end inclusive)
+   On resume every SRS nextDue at/after the pause start moves forward by
+   the number of paused days; paused days carry no goal in history views.
+=========================================== */
+function coercePauses(raw) {
+  return (Array.isArray(raw) ? raw : [])
+    .filter((p) => p && typeof p.start === "string" && typeof p.end === "string" && p.start <= p.end)
+    .map((p) => ({ id: p.id || crypto.randomUUID(), start: p.start, end: p.end, resumedOn: p.resumedOn || null, shiftDays: Number(p.shiftDays || 0) }));
+}
+
+// Pause in effect today (started, not yet resumed)
+function activePause(pauses, tk = todayKey()) {
+  return (pauses || []).find((p) => !p.resumedOn && p.start <= tk) || null;
+}
+
+function isPausedDay(pauses, dk) {
+  return (pauses || []).some((p) => p.start <= dk && dk <= p.end && (!p.resumedOn || dk < p.resumedOn));
+}
+
+function shiftSubForPause(sub, fromTs, shiftDays) {
+  return sub && (sub.nextDue ?? 0) >= fromTs ? { ...sub, nextDue: sub.nextDue + shiftDays * day } : sub;
+}
+
+function shiftCardsForPause(cards, fromTs, shiftDays) {
+  if (shiftDays <= 0) return cards;
+  const t = now();
+  const shift = (sub) => shiftSubForPause(sub, fromTs, shiftDays);
+  return cards.map((c) => {
+    if (isBulkCard(c) || !c.srs) return c;
+    const slow = shift(c.srs.slow), fast = shift(c.srs.fast), ref = shift(c.srs.ref);
+    if (slow === c.srs.slow && fast === c.srs.fast && ref === c.srs.ref) return c;
+    return { ...c, srs: { ...c.srs, slow, fast, ...(ref ? { ref } : {}) }, updatedAt: t };
+  });
+}
+
+// Transition schedules live in their own map (seam id → sub) and move with the cards
+function shiftSeamsForPause(seams, fromTs, shiftDays) {
+  if (shiftDays <= 0) return seams;
+  let changed = false;
+  const next = {};
+  for (const [id, sub] of Object.entries(seams || {})) {
+    next[id] = shiftSubForPause(sub, fromTs, shiftDays);
+    if (next[id] !== sub) changed = true;
+  }
+  return changed ? next : seams;
+}
 
 // --- Phase 5: keyboard shortcuts ---
 // Recognition/Review (NOT test mode):
 // 1 → 1D, 3 → 3D, 7 → 7D, 0 → 14D, 9 → 30D, 6 → 90D
+// Undo stack depth (grades, test marks, bulk reviews, card edits)
+const UNDO_LIMIT = 50;
+
 const SHORTCUT_MAP = {
   "1": "1D",
   "3": "3D",
@@ -302,6 +831,27 @@ const SHORTCUT_MAP = {
   "9": "30D",
   "6": "90D",
 };
+// Custom ladders: number keys 1…9 in ladder order
+function ladderShortcutMap(ladder) {
+  if (!ladder || ladder.id === STANDARD_LADDER.id) return SHORTCUT_MAP;
+  return Object.fromEntries(ladderGrades(ladder).map((g, i) => [String(i + 1), g]));
+}
+function shortcutKeyFor(map, label) {
+  return Object.keys(map).find((k) => map[k] === label) || null;
+}
+// Adaptive packs: 1 → Again, 2 → Hard, 3 → Good, 4 → Easy
+// Fixed grade button colours, shortest interval first
+const GRADE_BUTTON_CLASSES = [
+  "bg-gray-800", "bg-gray-700", "bg-indigo-600", "bg-violet-600", "bg-emerald-600",
+  "bg-teal-600", "bg-cyan-700", "bg-sky-700", "bg-blue-700",
+];
+function gradeButtonClass(i) { return GRADE_BUTTON_CLASSES[Math.min(i, GRADE_BUTTON_CLASSES.length - 1)]; }
+const ADAPTIVE_SHORTCUT_MAP = {
+  "1": "Again",
+  "2": "Hard",
+  "3": "Good",
+  "4": "Easy",
+};
 
 /* ===========================================
    TEST mode — local-only state & helpers
@@ -447,6 +997,28 @@ const WS_RE = /\s/;
 const PUNCT_RE = /[\p{P}\p{S}]/u; // Unicode punctuation & symbols
 function isWhitespaceCluster(s) { return WS_RE.test(s) || s === NBSP; }
 function isPunctCluster(s) { return PUNCT_RE.test(s); }
+// Drop combining marks from Latin clusters only (Hangul syllables stay composed)
+const LATIN_RE = /\p{Script=Latin}/u;
+const COMBINING_RE = /\p{M}/gu;
+function stripLatinDiacritics(s) {
+  if (!LATIN_RE.test(s)) return s;
+  return s.normalize("NFD").replace(COMBINING_RE, "").normalize("NFC");
+}
+// Hangul syllable → compatibility jamo [initial, medial, final?]
+const HANGUL_BASE = 0xAC00, HANGUL_LAST = 0xD7A3;
+const JAMO_L = "ㄱㄲㄴㄷㄸㄹㅁㅂㅃㅅㅆㅇㅈㅉㅊㅋㅌㅍㅎ";
+const JAMO_V = "ㅏㅐㅑㅒㅓㅔㅕㅖㅗㅘㅙㅚㅛㅜㅝㅞㅟㅠㅡㅢㅣ";
+const JAMO_T = ["", ..."ㄱㄲㄳㄴㄵㄶㄷㄹㄺㄻㄼㄽㄾㄿㅀㅁㅂㅄㅅㅆㅇㅈㅊㅋㅌㅍㅎ"];
+function isHangulSyllable(s) {
+  const cp = s.length === 1 ? s.charCodeAt(0) : -1;
+  return cp >= HANGUL_BASE && cp <= HANGUL_LAST;
+}
+function hangulJamo(s) {
+  const k = s.charCodeAt(0) - HANGUL_BASE;
+  const out = [JAMO_L[Math.floor(k / 588)], JAMO_V[Math.floor((k % 588) / 28)]];
+  if (k % 28) out.push(JAMO_T[k % 28]);
+  return out;
+}
 function mapQuotesHyphens(s) {
   return s
     // quotes
@@ -478,6 +1050,8 @@ function normalizeForCompare(text, opts = defaultWritingOptions()) {
     if (opts.caseInsensitive) raw = raw.toLocaleLowerCase();
     // unicode NFC
     if (opts.nfc && raw.normalize) raw = raw.normalize("NFC");
+    // (8) ignore diacritics (Latin only)
+    if (opts.ignoreDiacritics) raw = stripLatinDiacritics(raw);
 
     const wasWS = isWhitespaceCluster(raw);
     // (4) ignore punctuation (entire cluster is punct/symbol)
@@ -517,29 +1091,112 @@ function normalizeForCompare(text, opts = defaultWritingOptions()) {
   }
 
   const keys = units.map(u => u.key);
-  return { keys, units, rawToUnit, rawLength: text.length };
+  // accent-free keys, used to align when accent slips are only half errors
+  const bases = opts.accentHalfError ? keys.map(stripLatinDiacritics) : keys;
+  return { keys, bases, units, rawToUnit, rawLength: text.length };
 }
 
-// classic LCS to mark which typed keys are matched
-function lcsMatchMask(aKeys, bKeys) {
+/* LCS → matched index pairs [[i, j], …] in ascending order, in linear space.
+   Picks exactly the alignment of the classic full-table backtrack (walk from
+   the end; take equal keys, else drop from `a` when that keeps the length)
+   without the (m+1)×(n+1) table. On the reversed strings that backtrack is a
+   forward walk driven by suffix-LCS values S[i][j], so a rectangle only needs
+   the S row below it and the S column right of it. Each level splits the rows
+   at `mid`, finds where the walk crosses row `mid` (E = exit column, tracked
+   in the same backward pass), and recurses Hirschberg-style into the top-left
+   part (with recomputed boundaries) and the bottom-right part. Small blocks
+   fall back to a local table. */
+const LCS_BASE_AREA = 4096;
+function lcsPairs(aKeys, bKeys) {
   const m = aKeys.length, n = bKeys.length;
-  const dp = Array.from({length:m+1}, () => new Array(n+1).fill(0));
-  for (let i=1;i<=m;i++){
-    for (let j=1;j<=n;j++){
-      if (aKeys[i-1] === bKeys[j-1]) dp[i][j] = dp[i-1][j-1] + 1;
-      else dp[i][j] = Math.max(dp[i-1][j], dp[i][j-1]);
+  const A = aKeys.slice().reverse(), B = bKeys.slice().reverse();
+  const out = [];
+
+  function solve(r0, r1, c0, c1, below, right) {
+    const h = r1 - r0, w = c1 - c0;
+    if (h <= 0 || w <= 0) return;
+    if (h === 1 || h * w <= LCS_BASE_AREA) {
+      const S = Array.from({ length: h + 1 }, (_, y) => {
+        const row = new Int32Array(w + 1);
+        if (y === h) row.set(below); else row[w] = right[y];
+        return row;
+      });
+      for (let y = h - 1; y >= 0; y--) {
+        const row = S[y], next = S[y + 1], ai = A[r0 + y];
+        for (let x = w - 1; x >= 0; x--) row[x] = ai === B[c0 + x] ? next[x + 1] + 1 : next[x] >= row[x + 1] ? next[x] : row[x + 1];
+      }
+      let y = 0, x = 0;
+      while (y < h && x < w) {
+        if (A[r0 + y] === B[c0 + x]) { out.push([r0 + y, c0 + x]); y++; x++; }
+        else if (S[y + 1][x] >= S[y][x + 1]) y++;
+        else x++;
+      }
+      return;
+    }
+    const mid = (r0 + r1) >> 1;
+    // backward pass r1-1 .. r0 over cols [c0, c1]; E tracks where the walk from (r, c0+x) leaves the top half
+    let next = Int32Array.from(below), cur = new Int32Array(w + 1);
+    let rowMid = null, eNext = null, eCur = new Int32Array(w + 1);
+    for (let r = r1 - 1; r >= r0; r--) {
+      cur[w] = right[r - r0];
+      const ai = A[r];
+      for (let x = w - 1; x >= 0; x--) cur[x] = ai === B[c0 + x] ? next[x + 1] + 1 : next[x] >= cur[x + 1] ? next[x] : cur[x + 1];
+      if (r === mid) { rowMid = Int32Array.from(cur); eNext = new Int32Array(w + 1); for (let x = 0; x <= w; x++) eNext[x] = x; }
+      else if (r < mid) {
+        // E >= 0: column offset reached on row mid; E < 0: -(row+1) where it hit the right edge
+        eCur[w] = -(r + 1);
+        for (let x = w - 1; x >= 0; x--) {
+          if (ai === B[c0 + x]) eCur[x] = eNext[x + 1];
+          else if (next[x] >= cur[x + 1]) eCur[x] = eNext[x];
+          else eCur[x] = eCur[x + 1];
+        }
+        [eNext, eCur] = [eCur, eNext];
+      }
+      [next, cur] = [cur, next];
+    }
+    const exit = eNext[0];
+    if (exit < 0) { // walk leaves through the right edge above row mid
+      solve(r0, mid, c0, c1, rowMid, right.subarray(0, mid - r0 + 1));
+      return;
     }
+    const cw = Math.min(w, exit + 1); // top child width: walk stays within cols <= exit
+    // column c0+cw values for rows r0..mid (only cols >= c0+cw matter)
+    const rightTop = new Int32Array(mid - r0 + 1);
+    if (cw === w) rightTop.set(right.subarray(0, mid - r0 + 1));
+    else {
+      const k = w - cw;
+      let nx = rowMid.slice(cw), cu = new Int32Array(k + 1);
+      rightTop[mid - r0] = nx[0];
+      for (let r = mid - 1; r >= r0; r--) {
+        cu[k] = right[r - r0];
+        const ai = A[r];
+        for (let x = k - 1; x >= 0; x--) cu[x] = ai === B[c0 + cw + x] ? nx[x + 1] + 1 : nx[x] >= cu[x + 1] ? nx[x] : cu[x + 1];
+        rightTop[r - r0] = cu[0];
+        [nx, cu] = [cu, nx];
+      }
+    }
+    solve(r0, mid, c0, c0 + cw, rowMid.subarray(0, cw + 1), rightTop);
+    solve(mid, r1, c0 + exit, c1, below.subarray(exit), right.subarray(mid - r0));
   }
-  const mask = new Array(m).fill(false);
-  let i=m, j=n;
-  while (i>0 && j>0){
-    if (aKeys[i-1] === bKeys[j-1]) { mask[i-1] = true; i--; j--; }
-    else if (dp[i-1][j] >= dp[i][j-1]) i--;
-    else j--;
+
+  solve(0, m, 0, n, new Int32Array(n + 1), new Int32Array(m + 1));
+  return out.map(([i, j]) => [m - 1 - i, n - 1 - j]).reverse();
+}
+
+// lcp[s] = length of the common prefix of `pat` and `text[s:]` (Z-function over pat + sentinel + text)
+function prefixMatchLengths(pat, text) {
+  const SEP = {};
+  const arr = pat.concat([SEP], text);
+  const n = arr.length, z = new Int32Array(n);
+  for (let i = 1, l = 0, r = 0; i < n; i++) {
+    if (i < r) z[i] = Math.min(r - i, z[i - l]);
+    while (i + z[i] < n && arr[z[i]] === arr[i + z[i]]) z[i]++;
+    if (i + z[i] > r) { l = i; r = i + z[i]; }
   }
-  return mask;
+  return z.subarray(pat.length + 1);
 }
 
+
 // Main diff that returns runs over TYPED RAW string only
 function diffCharsLCS(typedRaw, targetRaw, opts = defaultWritingOptions()) {
   const T = normalizeForCompare(typedRaw, opts);
@@ -552,28 +1209,35 @@ function diffCharsLCS(typedRaw, targetRaw, opts = defaultWritingOptions()) {
     for (let k = 0; k < T.keys.length; k++) if (T.keys[k] !== G.keys[k]) { exact = false; break; }
   }
 
-  // LCS mask for the typed units (for per-char highlights)
-  const mask = lcsMatchMask(T.keys, G.keys);
+  // LCS mask for the typed units (for per-char highlights). In half-error mode
+  // units align on accent-free keys; a match whose full keys differ is an accent slip.
+  const mask = new Array(T.keys.length).fill(false);
+  const accent = new Array(T.keys.length).fill(false);
+  const pairs = lcsPairs(T.bases, G.bases);
+  for (const [i, j] of pairs) { mask[i] = true; accent[i] = T.keys[i] !== G.keys[j]; }
+  const partial = opts.hangulJamo ? hangulPartialMatches(T.keys, G.keys, pairs) : new Map();
   const runs = [];
   let pos = 0;
   for (let u = 0; u < T.units.length; u++) {
     const unit = T.units[u];
     if (pos < unit.rawStart) runs.push({ text: typedRaw.slice(pos, unit.rawStart), ok: null });
-    runs.push({ text: typedRaw.slice(unit.rawStart, unit.rawEnd), ok: !!mask[u] });
+    const text = typedRaw.slice(unit.rawStart, unit.rawEnd);
+    if (accent[u]) runs.push({ text, ok: true, accent: true });
+    else if (partial.has(u)) runs.push({ text, ok: false, ...partial.get(u) });
+    else runs.push({ text, ok: !!mask[u] });
     pos = unit.rawEnd;
   }
   if (pos < T.rawLength) runs.push({ text: typedRaw.slice(pos), ok: null });
 
   // --- NEW: contiguous alignment of the T-prefix somewhere inside G (to find missed head/tail) ---
+  // First G position with the longest common run against T's start (linear via Z-function)
   let startIdx = null;                    // index in G.keys where user's first kept unit aligns
   let matchedLen = 0;                     // how many units match contiguously from that start
   if (T.keys.length > 0) {
+    const lcp = prefixMatchLengths(T.bases, G.bases);
     for (let s = 0; s < G.keys.length; s++) {
-      if (T.keys[0] !== G.keys[s]) continue;
-      let m = 0;
-      while (m < T.keys.length && s + m < G.keys.length && T.keys[m] === G.keys[s + m]) m++;
-      if (m > matchedLen) { startIdx = s; matchedLen = m; }
-      if (m === T.keys.length) break; // perfect contiguous alignment for the whole typed input
+      if (lcp[s] > matchedLen) { startIdx = s; matchedLen = lcp[s]; }
+      if (matchedLen === T.keys.length) break; // perfect contiguous alignment for the whole typed input
     }
   }
 
@@ -618,16 +1282,473 @@ function diffCharsLCS(typedRaw, targetRaw, opts = defaultWritingOptions()) {
     // mid slice for Actual panel
     midStartRawIndex,
     midEndRawIndex,
+    score: scoreWritingDiff(mask, T.keys.length, G.keys.length, startIdx, accent.filter(Boolean).length, partial),
+  };
+}
+
+/* Hangul near misses: between two LCS anchors, unmatched typed and verse
+   units are paired in order (like substitutions in the word view). Two
+   syllables that share at least half their jamo (e.g. a wrong final
+   consonant) earn partial credit = shared / max(jamo count), and the run
+   carries a per-jamo breakdown for the typing panel.
+   -> Map(typedIndex → { partial, jamo: [{ ch, ok }], expected }) */
+function hangulPartialMatches(tKeys, gKeys, pairs) {
+  const out = new Map();
+  let pi = -1, pj = -1;
+  for (const [i, j] of pairs.concat([[tKeys.length, gKeys.length]])) {
+    for (let a = pi + 1, b = pj + 1; a < i && b < j; a++, b++) {
+      if (!isHangulSyllable(tKeys[a]) || !isHangulSyllable(gKeys[b])) continue;
+      const tj = hangulJamo(tKeys[a]), gj = hangulJamo(gKeys[b]);
+      const jamo = tj.map((ch, k) => ({ ch, ok: gj[k] === ch }));
+      const shared = jamo.filter((x) => x.ok).length;
+      const size = Math.max(tj.length, gj.length);
+      if (shared * 2 < size) continue;
+      out.set(a, { partial: shared / size, jamo, expected: gKeys[b] });
+    }
+    pi = i; pj = j;
+  }
+  return out;
+}
+
+/* =========================
+   Word-level diff (Writing mode "Words" view)
+   Words are runs of kept units between whitespace units, so every
+   normalizeForCompare option applies. Words are aligned with LCS; gaps
+   between anchors become substitutions (paired in order) plus extra
+   inserted (typed only) or deleted (verse only) words. An unmatched typed
+   word equal to an unmatched verse word elsewhere is marked "moved".
+   -> { typedRuns, targetRuns, counts } with run.kind in
+      "ok" | "ins" | "del" | "sub" | "moved" | null (neutral gap)
+========================= */
+function wordsFromNormalized(N) {
+  const words = [];
+  let cur = null;
+  for (const u of N.units) {
+    if (!u.key.trim()) { cur = null; continue; }
+    if (!cur) { cur = { rawStart: u.rawStart, rawEnd: u.rawEnd, key: "" }; words.push(cur); }
+    cur.rawEnd = u.rawEnd;
+    cur.key += u.key;
+  }
+  return words;
+}
+
+function wordRuns(raw, words, kinds) {
+  const runs = [];
+  let pos = 0;
+  words.forEach((w, i) => {
+    if (pos < w.rawStart) runs.push({ text: raw.slice(pos, w.rawStart), kind: null });
+    runs.push({ text: raw.slice(w.rawStart, w.rawEnd), kind: kinds[i] });
+    pos = w.rawEnd;
+  });
+  if (pos < raw.length) runs.push({ text: raw.slice(pos), kind: null });
+  return runs;
+}
+
+function diffWordsLCS(typedRaw, targetRaw, opts = defaultWritingOptions()) {
+  const TW = wordsFromNormalized(normalizeForCompare(typedRaw, opts));
+  const GW = wordsFromNormalized(normalizeForCompare(targetRaw, opts));
+  const tk = new Array(TW.length).fill("ins");
+  const gk = new Array(GW.length).fill("del");
+  const tPartner = new Map(), gPartner = new Map();
+
+  const pairs = lcsPairs(TW.map((w) => w.key), GW.map((w) => w.key));
+  let pi = -1, pj = -1;
+  for (const [i, j] of pairs.concat([[TW.length, GW.length]])) {
+    // gap (pi, i) × (pj, j): pair substitutions in order
+    for (let a = pi + 1, b = pj + 1; a < i && b < j; a++, b++) {
+      tk[a] = "sub"; gk[b] = "sub"; tPartner.set(a, b); gPartner.set(b, a);
+    }
+    if (i < TW.length) { tk[i] = "ok"; gk[j] = "ok"; }
+    pi = i; pj = j;
+  }
+
+  // transpositions: same word typed in the wrong place
+  const looseTarget = new Map();
+  GW.forEach((w, j) => {
+    if (gk[j] === "ok") return;
+    if (!looseTarget.has(w.key)) looseTarget.set(w.key, []);
+    looseTarget.get(w.key).push(j);
+  });
+  TW.forEach((w, i) => {
+    if (tk[i] === "ok") return;
+    const cands = (looseTarget.get(w.key) || []).filter((j) => gPartner.get(j) !== i);
+    if (!cands.length) return;
+    const j = cands[0];
+    looseTarget.set(w.key, looseTarget.get(w.key).filter((x) => x !== j));
+    if (tPartner.has(i) && gk[tPartner.get(i)] === "sub") gk[tPartner.get(i)] = "del";
+    if (gPartner.has(j) && tk[gPartner.get(j)] === "sub") tk[gPartner.get(j)] = "ins";
+    tk[i] = "moved"; gk[j] = "moved";
+  });
+
+  const counts = { ok: 0, ins: 0, del: 0, sub: 0, moved: 0 };
+  tk.forEach((k) => { if (k !== "sub") counts[k]++; });
+  gk.forEach((k) => { if (k === "del" || k === "sub") counts[k]++; });
+  return { typedRuns: wordRuns(typedRaw, TW, tk), targetRuns: wordRuns(targetRaw, GW, gk), counts };
+}
+
+/* =========================
+   Writing accuracy → suggested grade
+   pct = matched / (target units + wrong typed units), so both skipped and
+   wrong/extra text cost accuracy. Head/tail counts are reported separately
+   (they are already part of the unmatched target units). Accent slips (half
+   error mode) count half a match; Hangul near misses count their jamo share
+   and are not counted as wrong.
+========================= */
+function scoreWritingDiff(mask, typedLen, targetLen, startIdx, accents = 0, partial = new Map()) {
+  const aligned = mask.reduce((n, ok) => n + (ok ? 1 : 0), 0);
+  let partialCredit = 0;
+  for (const p of partial.values()) partialCredit += p.partial;
+  const matched = Math.round((aligned - accents / 2 + partialCredit) * 10) / 10;
+  const wrong = typedLen - aligned - partial.size;
+  const missedHead = startIdx ?? 0;
+  const missedTail = startIdx == null ? Math.max(0, targetLen) : Math.max(0, targetLen - (startIdx + typedLen));
+  const denom = targetLen + wrong;
+  const pct = denom > 0 ? Math.round((matched / denom) * 1000) / 10 : 100;
+  return { pct, matched, wrong, accents, nearMisses: partial.size, missed: targetLen - aligned - partial.size, missedHead, missedTail, total: targetLen };
+}
+
+// 0 = Again, 1 = Hard, 2 = Good, 3 = Easy
+function writingQuality(pct, opts = defaultWritingOptions()) {
+  const d = defaultWritingOptions();
+  if (pct >= (opts.gradeEasy ?? d.gradeEasy)) return 3;
+  if (pct >= (opts.gradeGood ?? d.gradeGood)) return 2;
+  if (pct >= (opts.gradeHard ?? d.gradeHard)) return 1;
+  return 0;
+}
+
+// Adaptive packs use the quality grade directly. Bucket ladders map it
+// around the card's current step: Again → first step, Hard → stay,
+// Good → one step up, Easy → two steps up.
+function suggestWritingGrade(pct, opts, target) {
+  return gradeForQuality(writingQuality(pct, opts), target);
+}
+
+function gradeForQuality(q, { scheduler, ladder, bucket }) {
+  if (scheduler === "adaptive") return ADAPTIVE_GRADES[q];
+  const grades = ladderGrades(ladder || STANDARD_LADDER);
+  if (!grades.length) return null;
+  const cur = grades.indexOf(bucket); // -1 for 0D / unknown
+  const idx = q === 0 ? 0 : Math.max(0, cur) + (q - 1);
+  return grades[Math.min(grades.length - 1, Math.max(0, idx))];
+}
+
+/* =========================
+   Writing attempt log
+   Every typed submission (Writing, live, first letters, cloze, scramble) is kept as
+   { id, cardId, ts, mode, typed, pct, missedHead, missedTail, wrongWords }.
+   wrongWords index the card's whitespace-separated words, so attempts
+   from any mode or comparison option line up in the per-card heatmap.
+   Local only unless settings.syncAttempts is on.
+========================= */
+const ATTEMPT_LOG_MAX = 3000;
+
+function verseWords(text) {
+  return Array.from(String(text || "").matchAll(/\S+/g), (m) => ({ text: m[0], start: m.index, end: m.index + m[0].length }));
+}
+
+// Raw [start, end) ranges of the runs whose kind is in `kinds`
+function runRanges(runs, kinds) {
+  const out = [];
+  let pos = 0;
+  for (const r of runs || []) {
+    const end = pos + r.text.length;
+    if (kinds.includes(r.kind)) out.push([pos, end]);
+    pos = end;
+  }
+  return out;
+}
+
+function wordIndexesForRanges(text, ranges) {
+  const words = verseWords(text);
+  const hit = new Set();
+  for (const [s, e] of ranges || []) {
+    words.forEach((w, i) => { if (w.start < e && s < w.end) hit.add(i); });
+  }
+  return Array.from(hit).sort((a, b) => a - b);
+}
+
+// res: a card component's onSubmit payload ({ score, typed, wrongRanges })
+function makeAttempt(card, mode, res) {
+  const score = res?.score || {};
+  return {
+    id: crypto.randomUUID(),
+    cardId: card.id,
+    ts: now(),
+    mode,
+    typed: String(res?.typed ?? ""),
+    pct: score.pct ?? 0,
+    missedHead: score.missedHead ?? 0,
+    missedTail: score.missedTail ?? 0,
+    wrongWords: wordIndexesForRanges(card.text, res?.wrongRanges),
+  };
+}
+
+// -> { words: [{ text, wrong }], total }
+function attemptHeat(text, attempts) {
+  const words = verseWords(text).map((w) => ({ text: w.text, wrong: 0 }));
+  for (const a of attempts) for (const i of a.wrongWords || []) if (words[i]) words[i].wrong += 1;
+  return { words, total: attempts.length };
+}
+
+/* =========================
+   Scripture references
+   BOOK_CATALOG lists the 66 books in canonical order as
+   "id|pt name|pt abbrevs|en name|en abbrevs|ko name|ko abbrevs"
+   (English abbreviations: the SBL forms plus the usual short ones).
+   lookupBook matches any name or abbreviation ignoring case, spaces and
+   dots, then retries without Latin accents.
+   Card refs stay as imported; cardRefParts parses them (cached) into
+   { book, bookId, chapter, verseStart, verseEnd, verseList } for canonical sorting
+   (compareScriptureRefs), chapter grouping, duplicate detection
+   (canonicalRefKey) and display in the chosen language (displayRef).
+========================= */
+const BOOK_CATALOG = [
+  "gen|Gênesis|Gn|Genesis|Gen Ge|창세기|창",
+  "exo|Êxodo|Êx Ex|Exodus|Exod Exo|출애굽기|출",
+  "lev|Levítico|Lv|Leviticus|Lev Le|레위기|레",
+  "num|Números|Nm|Numbers|Num Nu Nb|민수기|민",
+  "deu|Deuteronômio|Dt|Deuteronomy|Deut De|신명기|신",
+  "jos|Josué|Js|Joshua|Josh Jos Jsh|여호수아|수",
+  "jdg|Juízes|Jz|Judges|Judg Jdg Jg Jdgs|사사기|삿",
+  "rut|Rute|Rt|Ruth|Ru Rth|룻기|룻",
+  "1sa|1 Samuel|1Sm|1 Samuel|1Sam 1Sa|사무엘상|삼상",
+  "2sa|2 Samuel|2Sm|2 Samuel|2Sam 2Sa|사무엘하|삼하",
+  "1ki|1 Reis|1Rs|1 Kings|1Kgs 1Ki 1Kg|열왕기상|왕상",
+  "2ki|2 Reis|2Rs|2 Kings|2Kgs 2Ki 2Kg|열왕기하|왕하",
+  "1ch|1 Crônicas|1Cr|1 Chronicles|1Chr 1Ch|역대상|대상",
+  "2ch|2 Crônicas|2Cr|2 Chronicles|2Chr 2Ch|역대하|대하",
+  "ezr|Esdras|Ed|Ezra|Ezr|에스라|스",
+  "neh|Neemias|Ne|Nehemiah|Neh|느헤미야|느",
+  "est|Ester|Et|Esther|Esth Est Es|에스더|에",
+  "job|Jó||Job|Jb|욥기|욥",
+  "psa|Salmos|Sl|Psalms|Ps Psa Psalm Pss Psm|시편|시",
+  "pro|Provérbios|Pv|Proverbs|Prov Pr Prv|잠언|잠",
+  "ecc|Eclesiastes|Ec|Ecclesiastes|Eccl Ecc Eccles Qoh|전도서|전",
+  "sng|Cânticos|Ct Cantares|Song of Songs|Song Sg SoS Cant|아가|아",
+  "isa|Isaías|Is|Isaiah|Isa|이사야|사",
+  "jer|Jeremias|Jr|Jeremiah|Jer Je|예레미야|렘",
+  "lam|Lamentações|Lm|Lamentations|Lam La|예레미야애가|애",
+  "ezk|Ezequiel|Ez|Ezekiel|Ezek Eze Ezk|에스겔|겔",
+  "dan|Daniel|Dn|Daniel|Dan Da|다니엘|단",
+  "hos|Oseias|Os|Hosea|Hos Ho|호세아|호",
+  "jol|Joel|Jl|Joel|Jl|요엘|욜",
+  "amo|Amós|Am|Amos||아모스|암",
+  "oba|Obadias|Ob Ab|Obadiah|Obad|오바댜|옵",
+  "jon|Jonas|Jn|Jonah|Jon Jnh|요나|욘",
+  "mic|Miqueias|Mq|Micah|Mic Mi|미가|미",
+  "nam|Naum|Na|Nahum|Nah|나훔|나",
+  "hab|Habacuque|Hc|Habakkuk|Hab|하박국|합",
+  "zep|Sofonias|Sf|Zephaniah|Zeph Zep Zp|스바냐|습",
+  "hag|Ageu|Ag|Haggai|Hag Hg|학개|학",
+  "zec|Zacarias|Zc|Zechariah|Zech Zec|스가랴|슥",
+  "mal|Malaquias|Ml|Malachi|Mal|말라기|말",
+  "mat|Mateus|Mt|Matthew|Matt|마태복음|마",
+  "mrk|Marcos|Mc|Mark|Mk Mrk Mr|마가복음|막",
+  "luk|Lucas|Lc|Luke|Lk Lu|누가복음|눅",
+  "jhn|João|Jo|John|Jn Jhn|요한복음|요",
+  "act|Atos|At|Acts|Ac|사도행전|행",
+  "rom|Romanos|Rm|Romans|Rom Ro|로마서|롬",
+  "1co|1 Coríntios|1Co|1 Corinthians|1Cor|고린도전서|고전",
+  "2co|2 Coríntios|2Co|2 Corinthians|2Cor|고린도후서|고후",
+  "gal|Gálatas|Gl|Galatians|Gal Ga|갈라디아서|갈",
+  "eph|Efésios|Ef|Ephesians|Eph Ephes|에베소서|엡",
+  "php|Filipenses|Fp Fl|Philippians|Phil Php Pp|빌립보서|빌",
+  "col|Colossenses|Cl|Colossians|Col|골로새서|골",
+  "1th|1 Tessalonicenses|1Ts|1 Thessalonians|1Thess 1Th|데살로니가전서|살전",
+  "2th|2 Tessalonicenses|2Ts|2 Thessalonians|2Thess 2Th|데살로니가후서|살후",
+  "1ti|1 Timóteo|1Tm|1 Timothy|1Tim 1Ti|디모데전서|딤전",
+  "2ti|2 Timóteo|2Tm|2 Timothy|2Tim 2Ti|디모데후서|딤후",
+  "tit|Tito|Tt|Titus|Tit Ti|디도서|딛",
+  "phm|Filemom|Fm|Philemon|Phlm Phm Philem Pm|빌레몬서|몬",
+  "heb|Hebreus|Hb|Hebrews|Heb|히브리서|히",
+  "jas|Tiago|Tg|James|Jas Jm|야고보서|약",
+  "1pe|1 Pedro|1Pe|1 Peter|1Pet 1Pt|베드로전서|벧전",
+  "2pe|2 Pedro|2Pe|2 Peter|2Pet 2Pt|베드로후서|벧후",
+  "1jn|1 João|1Jo|1 John|1Jn 1Jhn|요한일서|요일",
+  "2jn|2 João|2Jo|2 John|2Jn 2Jhn|요한이서|요이",
+  "3jn|3 João|3Jo|3 John|3Jn 3Jhn|요한삼서|요삼",
+  "jud|Judas|Jd|Jude|Jud Jd|유다서|유",
+  "rev|Apocalipse|Ap|Revelation|Rev Re Rv|요한계시록|계",
+].map((row, index) => {
+  const [id, pt, ptAbbr, en, enAbbr, ko, koAbbr] = row.split("|");
+  const split = (s) => s.split(" ").filter(Boolean);
+  return { id, index, names: { pt, en, ko }, aliases: [pt, en, ko, ...split(ptAbbr), ...split(enAbbr), ...split(koAbbr)] };
+});
+
+const BOOK_BY_ID = new Map(BOOK_CATALOG.map((b) => [b.id, b]));
+
+// How refs are shown (settings.refDisplay): as imported, or rebuilt from the catalog in one language
+const REF_DISPLAYS = ["original", "pt", "en", "ko"];
+
+function bookKey(s) {
+  return String(s || "").normalize("NFC").toLocaleLowerCase().replace(/[\s.]+/g, "");
+}
+
+// Aliases that two books share across languages, and the book they mean.
+// Any other collision resolves to neither book, so a new row can't quietly
+// take over an existing abbreviation.
+const BOOK_ALIAS_CLASHES = {
+  jn: "jhn", // English "Jn" (John) over Portuguese "Jn" (Jonas); Jonah stays "Jonas" / "Jon" / "욘"
+  jo: "jhn", // without accents only: "Jo" (João) vs "Jó" (Job); "Jó" itself still matches Job exactly
+};
+
+const BOOK_INDEX = (() => {
+  const exact = new Map(), loose = new Map();
+  const add = (map, k, b) => { if (!map.has(k)) map.set(k, new Set()); map.get(k).add(b); };
+  for (const b of BOOK_CATALOG) {
+    for (const a of b.aliases) {
+      const k = bookKey(a);
+      add(exact, k, b);
+      add(loose, stripLatinDiacritics(k), b);
+    }
+  }
+  const resolve = (map) => new Map(Array.from(map, ([k, set]) => {
+    const books = Array.from(set);
+    if (books.length === 1) return [k, books[0]];
+    return [k, books.find((b) => b.id === BOOK_ALIAS_CLASHES[k]) || null];
+  }));
+  return { exact: resolve(exact), loose: resolve(loose) };
+})();
+
+function lookupBook(name) {
+  const k = bookKey(name);
+  if (!k) return null;
+  return BOOK_INDEX.exact.get(k) || BOOK_INDEX.loose.get(stripLatinDiacritics(k)) || null;
+}
+
+// "Fp 2:5", "Filipenses 2.5", "빌 2장 5절", "2:5-8", "2:5,8"
+// → { book, bookId, chapter, verseStart, verseEnd, verseList }
+// A dash is a range; a comma starts a list. verseStart..verseEnd is the first
+// piece, and verseList holds every piece ([[5, 5], [8, 8]]) only for lists.
+function parseScriptureRef(text) {
+  const s = String(text || "").trim()
+    .replace(/(\d+)\s*장\s*(\d+)\s*절?/, "$1:$2")
+    .replace(/(\d+)\s*장$/, "$1");
+  const m = s.match(/^(.*?)\s*(\d{1,3})(?:\s*[:.]\s*(\d{1,3}(?:\s*[-–,]\s*\d{1,3})*))?\s*$/);
+  if (!m) return null;
+  const book = m[1].trim();
+  const pieces = m[3]
+    ? m[3].split(/\s*,\s*/).map((x) => { const [a, b] = x.split(/\s*[-–]\s*/).map(Number); return [a, b ?? a]; })
+    : [[null, null]];
+  return {
+    book,
+    bookId: lookupBook(book)?.id || null,
+    chapter: Number(m[2]),
+    verseStart: pieces[0][0],
+    verseEnd: pieces[0][1],
+    verseList: pieces.length > 1 ? pieces : null,
   };
 }
 
+// "5-8,10" for a list, "5-8" / "5" otherwise
+function versePart(parts) {
+  const piece = ([a, b]) => (b != null && b !== a ? `${a}-${b}` : `${a}`);
+  return parts.verseList ? parts.verseList.map(piece).join(",") : piece([parts.verseStart, parts.verseEnd]);
+}
+
+// Packs named after their book ("Filipenses_formatted.txt") supply it when the ref has none
+function bookFromPack(pack) {
+  const parts = String(pack || "").replace(/\.[^.]+$/, "").split(/[_\-\s]+/).filter(Boolean);
+  for (let n = Math.min(3, parts.length); n > 0; n--) {
+    const b = lookupBook(parts.slice(0, n).join(" "));
+    if (b) return b;
+  }
+  return null;
+}
+
+const REF_PARTS_CACHE = new Map(); // "pack\u0000ref" → parts (sorting parses the same refs over and over)
+
+function cardRefParts(card) {
+  const k = `${card?.pack}\u0000${card?.ref}`;
+  const hit = REF_PARTS_CACHE.get(k);
+  if (hit) return hit;
+  const parsed = parseScriptureRef(card?.ref) || { book: "", bookId: null, chapter: null, verseStart: null, verseEnd: null, verseList: null };
+  const parts = parsed.bookId || parsed.book ? parsed : { ...parsed, bookId: bookFromPack(card?.pack)?.id || null };
+  if (REF_PARTS_CACHE.size > 5000) REF_PARTS_CACHE.clear();
+  REF_PARTS_CACHE.set(k, parts);
+  return parts;
+}
+
+// "Filipenses 2:5-8" / "Filipenses 2:5,8" / "빌립보서 2" in `lang`; null when book or chapter is unknown
+function formatScriptureRef(parts, lang = "pt") {
+  const b = parts?.bookId && BOOK_BY_ID.get(parts.bookId);
+  if (!b || parts.chapter == null) return null;
+  return `${b.names[lang] || b.names.pt} ${parts.chapter}${parts.verseStart != null ? `:${versePart(parts)}` : ""}`;
+}
+
+function displayRef(card, lang = "original") {
+  if (!card) return "";
+  if (!REF_DISPLAYS.includes(lang) || lang === "original") return card.ref || "";
+  return formatScriptureRef(cardRefParts(card), lang) || card.ref || "";
+}
+
+// Book + chapter heading for grouped lists ("Filipenses 2"); null when unparsed
+function refGroupLabel(card, lang = "original") {
+  const parts = cardRefParts(card);
+  if (parts.chapter == null) return null;
+  return formatScriptureRef({ ...parts, verseStart: null, verseList: null }, REF_DISPLAYS.includes(lang) && lang !== "original" ? lang : "pt") || `${parts.book} ${parts.chapter}`.trim();
+}
+
+// Same verse(s) however the ref was written ("Fp 2:5" = "Filipenses 2.5"); a list ("2:5,8") is
+// not the range ("2:5-8"); null when unparsed
+function canonicalRefKey(card) {
+  const p = cardRefParts(card);
+  if (p.chapter == null) return null;
+  return `${p.bookId || bookKey(p.book)}|${p.chapter}|${p.verseStart == null ? "" : versePart(p)}`;
+}
+
+// Canonical order: book (catalog order, unknown books after by name; unparsed refs last), chapter, verses, then ref text
+function compareScriptureRefs(a, b) {
+  const pa = cardRefParts(a), pb = cardRefParts(b);
+  const num = (x) => (x == null ? Number.POSITIVE_INFINITY : x);
+  const diff = (x, y) => (x === y ? 0 : x < y ? -1 : 1);
+  const ia = pa.bookId ? BOOK_BY_ID.get(pa.bookId).index : Number.POSITIVE_INFINITY;
+  const ib = pb.bookId ? BOOK_BY_ID.get(pb.bookId).index : Number.POSITIVE_INFINITY;
+  return diff(ia, ib)
+    || diff(pa.chapter == null, pb.chapter == null)
+    || (pa.bookId ? 0 : String(pa.book).localeCompare(String(pb.book)))
+    || diff(num(pa.chapter), num(pb.chapter))
+    || diff(num(pa.verseStart), num(pb.verseStart))
+    || diff(num(pa.verseEnd), num(pb.verseEnd))
+    || diff(!!pa.verseList, !!pb.verseList)
+    || String(a.ref || "").localeCompare(String(b.ref || ""), undefined, { numeric: true });
+}
+
+/* =========================
+   Reference recall scoring
+   Book 20 + chapter 30 + verse 50 (the verse only counts with the right
+   chapter), so the right chapter alone earns partial credit. The answered
+   verses (range or list) are compared as a whole with the card's: the
+   verse share is overlap / union, so "2:5-11" for a 2:5 card earns 50/7.
+========================= */
+function refVerseSet(parts) {
+  const out = new Set();
+  const pieces = parts?.verseList || (parts?.verseStart != null ? [[parts.verseStart, parts.verseEnd ?? parts.verseStart]] : []);
+  for (const [lo, hi] of pieces) for (let v = lo; v <= Math.max(lo, hi); v++) out.add(v);
+  return out;
+}
+
+function scoreRefAnswer(answer, card) {
+  const want = cardRefParts(card);
+  const got = parseScriptureRef(answer);
+  const bookOk = !!got?.bookId && got.bookId === want.bookId;
+  const chapterOk = !!got && got.chapter === want.chapter;
+  const wantVerses = refVerseSet(want), gotVerses = chapterOk ? refVerseSet(got) : new Set();
+  const shared = Array.from(gotVerses).filter((v) => wantVerses.has(v)).length;
+  const union = new Set([...wantVerses, ...gotVerses]).size;
+  const verseShare = union ? shared / union : 0;
+  const verseOk = verseShare === 1;
+  const pct = (bookOk ? 20 : 0) + (chapterOk ? 30 : 0) + Math.round(50 * verseShare);
+  return { pct, bookOk, chapterOk, verseOk, parsed: got, expected: want };
+}
+
 /* =========================
    Settings defaults
 ========================= */
 function defaultSettings() {
   return {
     sessionTarget: 50,
-    mode: "recognition",            // "recognition" | "review" | "writing" | "test" | "bulk"
+    mode: "recognition",            // "recognition" | "review" | "writing" | "firstletter" | "cloze" | "scramble" | "reference" | "next" | "passage" | "transition" | "test" | "bulk"
     showFirstNWords: 6,
     shuffle: false,
     dailyCapSlow: 60,
@@ -636,6 +1757,31 @@ function defaultSettings() {
     schemaVersion: SCHEMA_VERSION,
     // NEW: writing comparison options (local only)
     writing: defaultWritingOptions(),
+    // per-pack scheduler: "fixed" (default) | "adaptive" (local only)
+    packSchedulers: {},
+    leechThreshold: DEFAULT_LEECH_THRESHOLD,
+    backlogDays: DEFAULT_BACKLOG_DAYS,
+    // custom bucket ladders { [id]: { id, name, days } } + per-pack assignment (local only)
+    ladders: {},
+    packLadders: {},
+    // never-reviewed cards introduced per schedule per day; per-pack overrides (local only)
+    newPerDay: DEFAULT_NEW_PER_DAY,
+    packNewPerDay: {},
+    newCardOrder: "mixed",           // "mixed" | "newFirst" | "reviewsFirst"
+    // slow ⇄ fast schedule coupling rules (local only)
+    coupling: { ...DEFAULT_COUPLING },
+    // Cloze blank pattern and density range (local only)
+    cloze: { ...DEFAULT_CLOZE },
+    // What comes next: answer-time thresholds in seconds (local only)
+    nextChoice: { ...DEFAULT_NEXT_CHOICE },
+    // Transition cards: words shown/asked at each seam, count them in Stats (local only)
+    transitions: { ...DEFAULT_TRANSITIONS },
+    // local hour at which a new study day starts (local only)
+    dayRolloverHour: DEFAULT_DAY_ROLLOVER_HOUR,
+    // push/pull the writing attempt log alongside history (local only)
+    syncAttempts: false,
+    // how verse refs are shown: "original" (as imported) | "pt" | "en" | "ko" (local only)
+    refDisplay: "original",
   };
 }
 
@@ -646,6 +1792,8 @@ function App() {
   const [cards, setCards] = useState([]);
   const [settings, setSettings] = useState(defaultSettings());
   const [history, setHistory] = useState([]);
+  const [attempts, setAttempts] = useState([]); // writing attempt log
+  const [seams, setSeams] = useState({}); // transition card schedules by card id
   const [sessionStart, setSessionStart] = useState(0);
   const [completed, setCompleted] = useState(0);
   const [filterPack, setFilterPack] = useState("ALL");
@@ -661,10 +1809,20 @@ function App() {
   const [bulkProgress, setBulkProgress] = useState(defaultBulkProgress());
   const [bulkQueue, setBulkQueue] = useState([]);
   const [bulkSkippedIds, setBulkSkippedIds] = useState([]);
+  const [pauses, setPauses] = useState([]);
+  const [backlogPlan, setBacklogPlan] = useState(null); // preview before apply
+  const [undoStack, setUndoStack] = useState([]);
+  const [toast, setToast] = useState(null); // { text, at }
   const fileInputRef = useRef(null);
 
+  // Day keys follow the configured rollover hour. Every place that replaces
+  // settings sets the hour first so the next render already uses it; this
+  // effect only keeps the module value in line with state.
+  useEffect(() => { setDayRolloverHour(settings.dayRolloverHour); }, [settings.dayRolloverHour]);
+
   // NEW: writing state: whether current card has been submitted
   const [writingSubmitted, setWritingSubmitted] = useState(false);
+  const [writingScore, setWritingScore] = useState(null); // { cardId, score } from the last Submit
 
   // Sync status
   const [sync, setSync] = useState(() => (window.srsSync ?? { pushing:false, pulling:false, lastPullAt:null, lastPushAt:null }));
@@ -687,25 +1845,35 @@ function App() {
   // Load & persist
   useEffect(() => {
     const s = loadState();
-    const migratedCards = migrateAllCards(Array.isArray(s.cards) ? s.cards : []);
     const upgradedSettings = upgradeSettings(s.settings);
+    setDayRolloverHour(upgradedSettings.dayRolloverHour);
+    const migratedCards = migrateCardsToLadders(migrateAllCards(Array.isArray(s.cards) ? s.cards : []), upgradedSettings);
     const loadedHistory = Array.isArray(s.history) ? s.history : [];
-    const loadedDaily = s.daily && s.daily.key === todayKey() ? s.daily : { key: todayKey(), slow: 0, fast: 0 };
+    let loadedDaily = s.daily && s.daily.key === todayKey() ? s.daily : { key: todayKey(), slow: 0, fast: 0 };
     const loadedTest = s.test || defaultTestState();
-    const loadedBulkProgress = coerceBulkProgress(s.bulkProgress);
+    let loadedBulkProgress = coerceBulkProgress(s.bulkProgress);
+    let loadedCapLog = s.capLog || {};
+    if ((s.settings?.dayKeyVersion || 1) < DAY_KEY_VERSION) {
+      const m = migrateDayKeys({ daily: s.daily, bulkProgress: loadedBulkProgress, capLog: loadedCapLog, history: loadedHistory });
+      loadedDaily = m.daily; loadedBulkProgress = m.bulkProgress; loadedCapLog = m.capLog;
+    }
+    upgradedSettings.dayKeyVersion = DAY_KEY_VERSION;
 
     setCards(migratedCards);
     setSettings(upgradedSettings);
     setHistory(loadedHistory);
+    setAttempts(Array.isArray(s.attempts) ? s.attempts : []);
+    setSeams(s.seams && typeof s.seams === "object" ? s.seams : {});
     setDaily(loadedDaily);
-    setCapLog(s.capLog || {});
+    setCapLog(loadedCapLog);
     setTest(loadedTest);
     setBulkProgress(loadedBulkProgress);
+    setPauses(coercePauses(s.pauses));
     if (loadedTest.active) setFilterPack(loadedTest.pack);
   }, []);
   useEffect(() => {
-    saveState({ cards, settings, history, daily, capLog, test, bulkProgress });
-  }, [cards, settings, history, daily, capLog, test, bulkProgress]);
+    saveState({ cards, settings, history, attempts, seams, daily, capLog, test, bulkProgress, pauses });
+  }, [cards, settings, history, attempts, seams, daily, capLog, test, bulkProgress, pauses]);
 
   useEffect(() => {
     if (settings.mode === "test" && test.active) {
@@ -720,12 +1888,18 @@ function App() {
       try {
         const s = loadState();
         if (Array.isArray(s.cards)) setCards(s.cards);
-        if (s.settings) setSettings(prev => ({ ...s.settings, mode: prev.mode })); // keep current mode
+        if (s.settings) {
+          setDayRolloverHour(s.settings.dayRolloverHour);
+          setSettings(prev => ({ ...s.settings, mode: prev.mode })); // keep current mode
+        }
         if (Array.isArray(s.history)) setHistory(s.history);
+        if (Array.isArray(s.attempts)) setAttempts(s.attempts);
+        if (s.seams) setSeams(s.seams);
         if (s.daily) setDaily(s.daily);
         if (s.capLog) setCapLog(s.capLog);
         if (s.test) setTest(s.test);
         if (s.bulkProgress) setBulkProgress(coerceBulkProgress(s.bulkProgress));
+        if (Array.isArray(s.pauses)) setPauses(coercePauses(s.pauses));
       } catch (e) { console.warn('Failed to apply pulled state', e); }
     }
     const onPulled = () => applyPulled();
@@ -757,6 +1931,12 @@ function App() {
 
 
   const srsCards = useMemo(() => cards.filter((c) => !isBulkCard(c)), [cards]);
+  const transitionCards = useMemo(
+    () => buildTransitionCards(srsCards, seams, coerceTransitions(settings.transitions).words, settings.refDisplay),
+    [srsCards, seams, settings.transitions, settings.refDisplay]
+  );
+  // Cards the active mode studies: seams in transition mode, verses otherwise
+  const modeCards = settings.mode === "transition" ? transitionCards : srsCards;
   const activeBulkCards = useMemo(() => cards.filter(isActiveBulkCard), [cards]);
   const activeBulkCardIdsKey = useMemo(() => activeBulkCards.map((c) => c.id).join("|"), [activeBulkCards]);
   const bulkReviewedKey = (bulkProgress.reviewedIds || []).join("|");
@@ -764,6 +1944,28 @@ function App() {
 
   const packs = useMemo(() => ["ALL", ...Array.from(new Set(srsCards.map((c) => c.pack))).sort()], [srsCards]);
 
+  // Drop schedules of seams that no longer exist (verse deleted or reordered)
+  const transitionIdsKey = transitionCards.map((c) => c.id).join("|");
+  useEffect(() => {
+    if (!srsCards.length) return;
+    const live = new Set(transitionCards.map((c) => c.id));
+    setSeams((prev) => {
+      const stale = Object.keys(prev).filter((id) => !live.has(id));
+      if (!stale.length) return prev;
+      const next = { ...prev };
+      for (const id of stale) delete next[id];
+      return next;
+    });
+  }, [transitionIdsKey]); // eslint-disable-line react-hooks/exhaustive-deps
+  const currentPause = useMemo(() => activePause(pauses), [pauses, daily.key]);
+
+  // Auto-resume pauses whose last day has passed (shift by the full range)
+  useEffect(() => {
+    const tk = todayKey();
+    const ended = pauses.filter((p) => !p.resumedOn && p.end < tk);
+    for (const p of ended) resumePause(p.id, addDaysKey(p.end, 1));
+  }, [pauses, daily.key]); // eslint-disable-line react-hooks/exhaustive-deps
+
   useEffect(() => {
     setBulkProgress((prev) => {
       const normalized = normalizeBulkProgressForCards(prev, activeBulkCards);
@@ -774,7 +1976,7 @@ function App() {
   }, [activeBulkCardIdsKey, bulkReviewedKey, bulkDailyAssignedKey, bulkProgress.cycle, bulkProgress.dailyKey]);
 
   useEffect(() => {
-    if (!activeBulkCards.length) return;
+    if (!activeBulkCards.length || currentPause) return; // no new daily assignment while paused
     const tk = todayKey();
     setBulkProgress((prev) => {
       const normalized = normalizeBulkProgressForCards(prev, activeBulkCards);
@@ -798,7 +2000,7 @@ function App() {
       window.markDirty?.('bulkProgress');
       return { ...next, updatedAt: now() };
     });
-  }, [activeBulkCardIdsKey, bulkProgress.cycle, bulkProgress.dailyKey, bulkReviewedKey]);
+  }, [activeBulkCardIdsKey, bulkProgress.cycle, bulkProgress.dailyKey, bulkReviewedKey, currentPause]);
 
   useEffect(() => {
     if (settings.mode !== "bulk") return;
@@ -822,7 +2024,13 @@ function App() {
       if (isoDay(h.ts || Date.now()) === tk) { if (h.mode === "slow") slow++; else fast++; }
     }
     return { slow, fast };
-  }, [history]);
+  }, [history, daily.key, settings.dayRolloverHour]);
+
+  // Rollover hour changed (or the day flipped): re-key today's counters
+  useEffect(() => {
+    const tk = todayKey();
+    setDaily((prev) => prev.key === tk ? prev : { key: tk, slow: dailyReviewed.slow, fast: dailyReviewed.fast });
+  }, [settings.dayRolloverHour]); // eslint-disable-line react-hooks/exhaustive-deps
 
   const todayCaps = useMemo(() => {
     const tk = todayKey();
@@ -832,25 +2040,35 @@ function App() {
     let res = { slow: 0, fast: 0 };
     for (const [k, v] of entries) { if (k <= tk) res = v; else break; }
     return res;
-  }, [capLog]);
+  }, [capLog, daily.key]);
 
-  // Due list (used by recognition/review)
+  // New cards already introduced today (per schedule, per pack)
+  const introducedToday = useMemo(() => newIntroducedOn(history, todayKey()), [history, daily.key, settings.dayRolloverHour]);
+
+  // Due list (used by recognition/review): reviews plus today's share of new cards
   const normalDueCards = useMemo(() => {
+    if (currentPause) return [];
     const t = now();
-    const key = settings.mode === "recognition" ? "fast" : "slow";
-    let list = srsCards.filter((c) => (c?.srs?.[key]?.nextDue ?? 0) <= t);
+    const key = scheduleKeyForMode(settings.mode);
+    let list = modeCards.filter((c) => (c?.srs?.[key]?.nextDue ?? 0) <= t);
     if (filterPack !== "ALL") list = list.filter((c) => c.pack === filterPack);
     list.sort((a, b) => {
       if (filterPack === "ALL" && a.pack !== b.pack) return String(a.pack).localeCompare(String(b.pack));
       const ao = a.order ?? Number.POSITIVE_INFINITY, bo = b.order ?? Number.POSITIVE_INFINITY;
       if (ao !== bo) return ao - bo;
-      const ar = String(a.ref || ""), br = String(b.ref || "");
-      if (ar !== br) return ar.localeCompare(br);
-      return String(a.id).localeCompare(String(b.id));
+      return compareScriptureRefs(a, b) || String(a.id).localeCompare(String(b.id));
     });
+    const reviews = list.filter((c) => !isNewSub(c.srs?.[key]));
+    const fresh = pickNewCards(list.filter((c) => isNewSub(c.srs?.[key])), settings, introducedToday[key]);
     const remain = Math.max(0, dailyRemaining(settings.mode));
-    return list.slice(0, remain);
-  }, [srsCards, filterPack, settings.mode, daily, dailyReviewed, todayCaps]); // (deps ok if you like)
+    return interleaveNewCards(reviews, fresh, settings.newCardOrder).slice(0, remain);
+  }, [modeCards, filterPack, settings.mode, settings.newPerDay, settings.packNewPerDay, settings.newCardOrder, daily, dailyReviewed, todayCaps, currentPause, introducedToday]); // (deps ok if you like)
+
+  const dueSplit = useMemo(() => {
+    const key = scheduleKeyForMode(settings.mode);
+    const fresh = normalDueCards.filter((c) => isNewSub(c.srs?.[key])).length;
+    return { fresh, review: normalDueCards.length - fresh };
+  }, [normalDueCards, settings.mode]);
 
   const bulkDailyCards = useMemo(() => {
     if (settings.mode !== "review") return [];
@@ -863,6 +2081,15 @@ function App() {
       .filter(Boolean);
   }, [settings.mode, activeBulkCards, bulkProgress.reviewedIds, bulkProgress.dailyAssignedIds, bulkSkippedIds]);
 
+  // Leech cards on the active schedule (pack-filtered), in pack order
+  const leechCards = useMemo(() => {
+    if (settings.mode === "test" || settings.mode === "bulk") return [];
+    const key = scheduleKeyForMode(settings.mode);
+    let list = modeCards.filter((c) => c?.srs?.[key]?.leech);
+    if (filterPack !== "ALL") list = list.filter((c) => c.pack === filterPack);
+    return list.sort((a, b) => String(a.pack).localeCompare(String(b.pack)) || (a.order ?? 0) - (b.order ?? 0));
+  }, [modeCards, filterPack, settings.mode]);
+
   const dueCards = useMemo(() => {
     return settings.mode === "review" ? normalDueCards.concat(bulkDailyCards) : normalDueCards;
   }, [settings.mode, normalDueCards, bulkDailyCards]);
@@ -886,11 +2113,11 @@ function App() {
     // SessionQueue (manual / writing / normal)
     if (sessionQueue.length > 0) {
       const id = sessionQueue[0];
-      return cards.find((c) => c.id === id) || null;
+      return (settings.mode === "transition" ? transitionCards : cards).find((c) => c.id === id) || null;
     }
-    if (settings.mode === "writing") return null; // require Start Session / manual
+    if (isTypedMode(settings.mode) || settings.mode === "passage") return null; // require Start Session / manual
     return dueCards[0];
-  }, [sessionQueue, cards, srsCards, dueCards, settings.mode, test.active, test.queue, bulkQueue, activeBulkCards]);
+  }, [sessionQueue, cards, srsCards, transitionCards, dueCards, settings.mode, test.active, test.queue, bulkQueue, activeBulkCards]);
 
   // Keyboard shortcuts (DISABLE in writing mode) — moved below currentCard
   useEffect(() => {
@@ -898,6 +2125,14 @@ function App() {
       const tag = (e.target && e.target.tagName) ? e.target.tagName.toLowerCase() : "";
       if (tag === "input" || tag === "textarea" || e.target.isContentEditable) return;
 
+      // Undo: Ctrl/Cmd+Z or U (every mode)
+      const uk = (e.key || "").toLowerCase();
+      if ((uk === "z" && (e.ctrlKey || e.metaKey) && !e.shiftKey) || (uk === "u" && !e.ctrlKey && !e.metaKey && !e.altKey)) {
+        e.preventDefault();
+        undoLast();
+        return;
+      }
+
       // TEST mode: A=Again, G=Good
       if (settings.mode === "test") {
         const k = (e.key || "").toLowerCase();
@@ -913,8 +2148,12 @@ function App() {
         return;
       }
 
-      // Writing: disable SRS shortcuts
-      if (settings.mode === "writing") return;
+      // Typed / reference modes: no grade shortcuts, except Enter = suggested grade after Submit
+      if (isScoredMode(settings.mode)) {
+        const suggested = writingSuggestion(currentCard);
+        if (suggested && e.key === "Enter") { e.preventDefault(); handleGrade(suggested); }
+        return;
+      }
 
       if (currentCard && isActiveBulkCard(currentCard)) {
         const k = (e.key || "").toLowerCase();
@@ -923,28 +2162,56 @@ function App() {
         return;
       }
 
-      // Recognition/Review shortcuts
-      const lbl = SHORTCUT_MAP[e.key.toLowerCase?.() || e.key];
+      // Recognition/Review shortcuts (adaptive packs use quality grades)
+      const map = !currentCard ? SHORTCUT_MAP
+        : schedulerForPack(settings, currentCard.pack) === "adaptive" ? ADAPTIVE_SHORTCUT_MAP
+        : ladderShortcutMap(ladderForPack(settings, currentCard.pack));
+      const lbl = map[e.key.toLowerCase?.() || e.key];
       if (!lbl || !currentCard) return;
       e.preventDefault();
       handleGrade(lbl);
     }
     window.addEventListener("keydown", onKey);
     return () => window.removeEventListener("keydown", onKey);
-  }, [currentCard, settings.mode, test.active, test.queue, bulkQueue, bulkProgress]);
+  }, [currentCard, settings.mode, settings.packSchedulers, settings.packLadders, settings.ladders, settings.writing, writingSubmitted, writingScore, history, undoStack, test.active, test.queue, bulkQueue, bulkProgress]);
 
   // Reset "submitted" when card/mode changes
   useEffect(() => { setWritingSubmitted(false); }, [settings.mode, currentCard?.id]);
 
+  // Backlog detection for the active schedule (recognition/review only)
+  const backlog = useMemo(() => {
+    if (currentPause || (settings.mode !== "recognition" && settings.mode !== "review")) return null;
+    const key = scheduleKeyForMode(settings.mode);
+    const cap = todayCaps[capKeyFor(key)];
+    const count = overdueCards(srsCards, key).length;
+    if (cap <= 0 || count <= cap * (settings.backlogDays ?? DEFAULT_BACKLOG_DAYS)) return null;
+    return { key, cap, count, days: Math.ceil(count / cap) };
+  }, [srsCards, settings.mode, settings.backlogDays, todayCaps, currentPause]);
+
+  function previewBacklogPlan() {
+    if (!backlog) return;
+    setBacklogPlan(planBacklogRecovery(srsCards, backlog.key, { cap: backlog.cap, todayLeft: dailyRemaining(settings.mode) }));
+  }
+
+  function applyBacklogPlan() {
+    if (!backlogPlan) return;
+    setCards((prev) => applyRecoveryPlan(prev, backlogPlan));
+    window.markDirty?.('cards');
+    setSessionQueue([]);
+    setBacklogPlan(null);
+  }
+
   function dailyRemaining(mode) {
-    const goal = mode === "recognition" ? todayCaps.fast : todayCaps.slow;
-    const done = mode === "recognition" ? dailyReviewed.fast : dailyReviewed.slow;
+    const k = capKeyFor(scheduleKeyForMode(mode));
+    const goal = todayCaps[k];
+    const done = dailyReviewed[k];
     return Math.max(0, goal - done);
   }
 
   // Start session
   async function startSession() {
     try { if (typeof window.pullSRS === 'function') await window.pullSRS(); } catch {}
+    setUndoStack([]);
     // TEST mode: initialize or resume Test queue; do NOT touch SRS buckets or history
     if (settings.mode === "test") {
       startTestSession();
@@ -961,7 +2228,7 @@ function App() {
     setSessionStart(now());
     setCompleted(0);
 
-    if (settings.mode === "writing") {
+    if (isTypedMode(settings.mode)) {
       // Random pool = all (pack-filtered), ignoring due
       let pool = filterPack === "ALL" ? srsCards.slice() : srsCards.filter(c => c.pack === filterPack);
       pool = shuffleInPlace(pool);
@@ -1007,6 +2274,7 @@ function App() {
   function handleTestGood() {
     if (!test.active || test.queue.length === 0) return;
     const [head, ...rest] = test.queue;
+    pushUndo({ kind: "testGood", label: `${cardRef(head)} → Good`, cardId: head, prevTest: test, wasGood: !!test.goodById[head] });
     const next = {
       ...test,
       queue: rest,
@@ -1021,6 +2289,7 @@ function App() {
   function handleTestAgain() {
     if (!test.active || test.queue.length === 0) return;
     const [head, ...rest] = test.queue;
+    pushUndo({ kind: "testAgain", label: `${cardRef(head)} → Again`, prevTest: test });
     const next = { ...test, queue: [...rest, head] };
     setTest(next);
     // 'Again' does NOT increment completed
@@ -1094,10 +2363,94 @@ function App() {
     }
   }, [srsCards]); // eslint-disable-line react-hooks/exhaustive-deps
 
+  /* ---------- Undo ----------
+     Each entry snapshots just enough to take one action back:
+     grade → previous srs sub-object + history row id; test/bulk → queue
+     state; edit → previous ref/text. Newest last, capped at UNDO_LIMIT. */
+  function pushUndo(entry) {
+    setUndoStack((prev) => prev.slice(-(UNDO_LIMIT - 1)).concat({ ...entry, at: now() }));
+    setToast({ text: entry.label, at: now() });
+  }
+
+  function cardRef(id) {
+    return cards.find((c) => c.id === id)?.ref || "card";
+  }
+
+  function bulkSnapshot() {
+    return { prevBulkProgress: bulkProgress, prevBulkQueue: bulkQueue, prevBulkSkippedIds: bulkSkippedIds, prevSessionQueue: sessionQueue };
+  }
+
+  function undoLast() {
+    const entry = undoStack[undoStack.length - 1];
+    if (!entry) return;
+    setUndoStack((prev) => prev.slice(0, -1));
+    setToast({ text: `Undid: ${entry.label}`, at: now() });
+
+    if (entry.kind === "grade") {
+      const key = entry.scheduleKey;
+      // whole srs: coupling may also have moved the other schedule
+      if (entry.seam) setSeams((prev) => ({ ...prev, [entry.cardId]: entry.prevSub }));
+      else setCards((prev) => prev.map((c) => (c.id === entry.cardId ? { ...c, srs: entry.prevSrs || { ...c.srs, [key]: entry.prevSub }, updatedAt: now() } : c)));
+      setHistory((prev) => prev.filter((h) => h.id !== entry.historyId));
+      window.queueSyncDelete?.('history', [entry.historyId]);
+      setDaily((prev) => ({ ...prev, [capKeyFor(key)]: Math.max(0, (prev[capKeyFor(key)] || 0) - 1) }));
+      setCompleted((x) => Math.max(0, x - 1));
+      if (entry.fromSession) setSessionQueue((q) => [entry.cardId, ...q.filter((id) => id !== entry.cardId)]);
+      setWritingSubmitted(false);
+      window.markDirty?.(...(entry.seam ? [] : ['cards']), 'history');
+      return;
+    }
+    if (entry.kind === "passage") {
+      const prevById = new Map(entry.items.map((it) => [it.cardId, it.prevSrs]));
+      const ids = entry.items.map((it) => it.historyId);
+      const dk = capKeyFor(entry.scheduleKey);
+      setCards((prev) => prev.map((c) => (prevById.has(c.id) ? { ...c, srs: prevById.get(c.id), updatedAt: now() } : c)));
+      setHistory((prev) => prev.filter((h) => !ids.includes(h.id)));
+      window.queueSyncDelete?.('history', ids);
+      setDaily((prev) => ({ ...prev, [dk]: Math.max(0, (prev[dk] || 0) - ids.length) }));
+      setCompleted((x) => Math.max(0, x - ids.length));
+      window.markDirty?.('cards', 'history');
+      return;
+    }
+    if (entry.kind === "testGood" || entry.kind === "testAgain") {
+      setTest(entry.prevTest);
+      if (entry.kind === "testGood") {
+        setCompleted((x) => Math.max(0, x - 1));
+        if (!entry.wasGood) window.queueSyncDelete?.('testMarks', [entry.cardId]);
+        window.markDirty?.('test');
+      }
+      return;
+    }
+    if (entry.kind === "bulkReviewed" || entry.kind === "bulkSkip") {
+      setBulkProgress({ ...entry.prevBulkProgress, updatedAt: now() });
+      setBulkQueue(entry.prevBulkQueue);
+      setBulkSkippedIds(entry.prevBulkSkippedIds);
+      setSessionQueue(entry.prevSessionQueue);
+      if (entry.kind === "bulkReviewed") {
+        setCompleted((x) => Math.max(0, x - 1));
+        window.markDirty?.('bulkProgress');
+      }
+      return;
+    }
+    if (entry.kind === "edit") {
+      setCards((prev) => prev.map((c) => (c.id === entry.cardId ? { ...c, ...entry.prev, updatedAt: now() } : c)));
+      window.markDirty?.('cards');
+    }
+  }
+
   function popQueueIfHeadIs(id) {
     setSessionQueue((q) => (q.length && q[0] === id ? q.slice(1) : q));
   }
 
+  // Typed modes: keep the score for the suggested grade and log the attempt
+  function handleTypedSubmit(card, res) {
+    setWritingScore({ cardId: card.id, score: res.score });
+    setWritingSubmitted(true);
+    const live = settings.mode === "writing" && ["live", "strict"].includes(settings.writing?.liveMode);
+    setAttempts((prev) => prev.concat(makeAttempt(card, live ? settings.writing.liveMode : settings.mode, res)).slice(-ATTEMPT_LOG_MAX));
+    window.markDirty?.('attempts');
+  }
+
   // NEW: Skip (no history/srs changes)
   function handleSkip() {
     if (!currentCard) return;
@@ -1107,6 +2460,7 @@ function App() {
 
   function handleBulkReviewed() {
     if (!currentCard || !isActiveBulkCard(currentCard)) return;
+    pushUndo({ kind: "bulkReviewed", label: `${currentCard.ref} → Reviewed`, ...bulkSnapshot() });
     setBulkProgress((prev) => {
       const normalized = normalizeBulkProgressForCards(prev, activeBulkCards);
       if ((normalized.reviewedIds || []).includes(currentCard.id)) return normalized;
@@ -1126,6 +2480,7 @@ function App() {
 
   function handleBulkSkip() {
     if (!currentCard || !isActiveBulkCard(currentCard)) return;
+    pushUndo({ kind: "bulkSkip", label: `${currentCard.ref} → Skipped`, ...bulkSnapshot() });
     if (settings.mode === "bulk") {
       setBulkQueue((q) => {
         if (!q.length || q[0] !== currentCard.id) return q;
@@ -1138,6 +2493,12 @@ function App() {
     setWritingSubmitted(false);
   }
 
+  // Past reviews of one card on one schedule (feeds the adaptive scheduler)
+  function cardHistoryFor(card, scheduleKey) {
+    if (!card) return [];
+    return history.filter((h) => h.cardId === card.id && h.mode === scheduleKey);
+  }
+
   function handleGrade(label) {
     if (!currentCard) return;
     if (isActiveBulkCard(currentCard)) {
@@ -1145,34 +2506,147 @@ function App() {
       return;
     }
 
-    // scheduleKey for SRS write: slow for writing/review, fast for recognition
-    const scheduleKey = settings.mode === "recognition" ? "fast" : "slow";
-    const fromBucket = currentCard?.srs?.[scheduleKey]?.bucket || "0D";
+    // scheduleKey for SRS write: slow for writing/review, fast for recognition, ref for reference recall
+    const scheduleKey = scheduleKeyForMode(settings.mode);
 
     // Reset daily if new day
     setDaily((prev) => prev.key === todayKey() ? prev : { key: todayKey(), slow: 0, fast: 0 });
 
-    const updated = applyLabel(currentCard, label, settings.mode, settings.jitterPct ?? 0.1);
+    const scored = isScoredMode(settings.mode) && writingScore?.cardId === currentCard.id ? writingScore.score : null;
+    const g = gradeCard(currentCard, label, scheduleKey, modeCards, { score: scored?.pct, mistakes: scored?.wordMistakes });
+    if (!g) return;
 
-    setCards((prev) => prev.map((c) => (c.id === currentCard.id ? updated : c)));
+    const seam = isTransitionCard(currentCard);
+    if (seam) setSeams((prev) => ({ ...prev, [currentCard.id]: g.updated.srs.seam }));
+    else setCards((prev) => prev.map((c) => (c.id === currentCard.id ? g.updated : c)));
     setCompleted((x) => x + 1);
+    bumpDaily(scheduleKey, 1);
+    setHistory((prev) => [...prev, g.historyRow]);
+    window.markDirty?.(...(seam ? [] : ['cards']), 'history');
+
+    pushUndo({
+      kind: "grade", label: `${currentCard.ref} → ${label}`, scheduleKey, ...g.undo,
+      fromSession: sessionQueue[0] === currentCard.id, seam,
+    });
+    popQueueIfHeadIs(currentCard.id);
+    if (isScoredMode(settings.mode)) setWritingSubmitted(false);
+  }
+
+  // Schedule one card on `scheduleKey` without touching state.
+  // -> { updated, historyRow, undo } or null when the label doesn't fit the pack's scheduler
+  function gradeCard(card, label, scheduleKey, pool, { score = null, mistakes = null } = {}) {
+    const fromBucket = card?.srs?.[scheduleKey]?.bucket || "0D";
+    const scheduler = schedulerForPack(settings, card.pack);
+    const ladder = ladderForPack(settings, card.pack);
+    if (scheduler === "adaptive" && !ADAPTIVE_GRADES.includes(label)) return null;
+    if (scheduler === "fixed" && label !== "Again" && !ladderGrades(ladder).includes(label)) return null;
+    const balance = {
+      load: dueLoadByDay(pool, scheduleKey, card.id),
+      cap: capKeyFor(scheduleKey) === "fast" ? settings.dailyCapFast : settings.dailyCapSlow,
+      seed: `${card.id}|${todayKey()}`,
+    };
+    const graded = scheduler === "adaptive"
+      ? applyAdaptiveGrade(card, label, settings.mode, settings.jitterPct ?? 0.1, cardHistoryFor(card, scheduleKey), balance, ladder)
+      : applyLabel(card, label, settings.mode, settings.jitterPct ?? 0.1, balance, ladder);
+    const updated = applyCoupling(card, trackLapse(card, graded, scheduleKey, settings.leechThreshold), scheduleKey, settings.coupling);
 
+    const toBucket = updated.srs?.[scheduleKey]?.bucket || fromBucket;
+    const historyId = crypto.randomUUID();
+    const hasMistakes = mistakes && Object.keys(mistakes).length;
+    const historyRow = {
+      id: historyId, cardId: updated.id, pack: updated.pack, ref: updated.ref,
+      mode: scheduleKey, fromBucket, toBucket, grade: label, ts: now(),
+      ...(isNewSub(card?.srs?.[scheduleKey]) ? { isNew: true } : {}),
+      ...(score != null ? { score } : {}),
+      ...(hasMistakes ? { mistakes } : {}),
+    };
+    return { updated, historyRow, undo: { cardId: card.id, prevSub: card.srs?.[scheduleKey], prevSrs: card.srs, historyId } };
+  }
+
+  function bumpDaily(scheduleKey, n) {
     setDaily((prev) => {
       const key = todayKey(); const base = prev.key === key ? prev : { key, slow: 0, fast: 0 };
-      if (scheduleKey === "fast") return { ...base, fast: base.fast + 1 };
-      return { ...base, slow: base.slow + 1 };
+      const k = capKeyFor(scheduleKey);
+      return { ...base, [k]: base[k] + n };
     });
+  }
 
-    const toBucket = updated.srs?.[scheduleKey]?.bucket || fromBucket;
-    setHistory((prev) => [
-      ...prev,
-      { id: crypto.randomUUID(), cardId: updated.id, pack: updated.pack, ref: updated.ref,
-        mode: scheduleKey, fromBucket, toBucket, ts: now() }
-    ]);
+  // Passage mode: grade every checked verse of the run on the slow schedule, as one undo step
+  function handlePassageGrades(items) {
+    const scheduleKey = scheduleKeyForMode("passage");
+    setDaily((prev) => prev.key === todayKey() ? prev : { key: todayKey(), slow: 0, fast: 0 });
+    let pool = srsCards;
+    const done = [];
+    for (const it of items) {
+      const g = gradeCard(it.card, it.label, scheduleKey, pool, { score: it.pct });
+      if (!g) continue;
+      pool = pool.map((c) => (c.id === g.updated.id ? g.updated : c));
+      done.push(g);
+    }
+    if (!done.length) return;
+    const byId = new Map(done.map((g) => [g.updated.id, g.updated]));
+    setCards((prev) => prev.map((c) => byId.get(c.id) || c));
+    setCompleted((x) => x + done.length);
+    bumpDaily(scheduleKey, done.length);
+    setHistory((prev) => prev.concat(done.map((g) => g.historyRow)));
     window.markDirty?.('cards', 'history');
+    const first = done[0].updated.ref, last = done[done.length - 1].updated.ref;
+    pushUndo({
+      kind: "passage", label: `Passage ${first}${done.length > 1 ? `–${last}` : ""} (${done.length} verse${done.length > 1 ? "s" : ""})`,
+      scheduleKey, items: done.map((g) => g.undo),
+    });
+  }
 
-    popQueueIfHeadIs(currentCard.id);
-    if (settings.mode === "writing") setWritingSubmitted(false);
+  function addPause(start, end) {
+    if (!start || !end || start > end) { alert("Pick a start date on or before the end date."); return; }
+    const overlaps = pauses.some((p) => !p.resumedOn && p.start <= end && start <= p.end);
+    if (overlaps) { alert("That range overlaps an existing pause."); return; }
+    setPauses((prev) => prev.concat({ id: crypto.randomUUID(), start, end, resumedOn: null, shiftDays: 0 }));
+  }
+
+  // End a pause on `resumeKey` (default today): shift schedules by the days actually paused
+  function resumePause(id, resumeKey = todayKey()) {
+    const p = pauses.find((x) => x.id === id);
+    if (!p || p.resumedOn) return;
+    const lastDay = p.end < resumeKey ? p.end : addDaysKey(resumeKey, -1);
+    const shiftDays = lastDay < p.start ? 0 : dayDiff(p.start, lastDay) + 1;
+    if (shiftDays === 0) {
+      // resumed before it began → nothing happened, just drop it
+      setPauses((prev) => prev.filter((x) => x.id !== id));
+      return;
+    }
+    setCards((prev) => shiftCardsForPause(prev, dayKeyStartTs(p.start), shiftDays));
+    setSeams((prev) => shiftSeamsForPause(prev, dayKeyStartTs(p.start), shiftDays));
+    setPauses((prev) => prev.map((x) => (x.id === id ? { ...x, end: lastDay, resumedOn: resumeKey, shiftDays } : x)));
+    window.markDirty?.('cards');
+  }
+
+  function cancelPause(id) {
+    setPauses((prev) => prev.filter((x) => x.id !== id || x.resumedOn));
+  }
+
+  // Change ladder definitions/assignments and move cards onto the new steps
+  function updateLadders(ladders, packLadders) {
+    const next = { ...settings, ladders, packLadders };
+    setSettings(next);
+    setCards((prev) => migrateCardsToLadders(prev, next));
+    window.markDirty?.('settings', 'cards');
+  }
+
+  // Leech-only session: manual queue over flagged cards, ignoring due dates
+  function startLeechSession() {
+    if (!leechCards.length) return;
+    setSessionQueue(leechCards.map((c) => c.id));
+    setSessionStart(now());
+    setCompleted(0);
+    setWritingSubmitted(false);
+  }
+
+  function clearLeechFlags(ids, scheduleKey) {
+    if (!ids?.length) return;
+    const idsSet = new Set(ids);
+    setCards((prev) => prev.map((c) => (idsSet.has(c.id) ? clearLeech(c, scheduleKey) : c)));
+    window.markDirty?.('cards');
   }
 
   // NEW: delete selected cards (server attempt + local removal, with confirmation)
@@ -1235,17 +2709,29 @@ function App() {
     }
     const all = [...cards];
     const existing = new Set(all.map((c) => c.id));
-    const fresh = imported.filter((c) => !existing.has(c.id));
+    // Same verse in the same pack, however the ref is written, counts as already there
+    const refKey = (c) => { const k = canonicalRefKey(c); return k && `${c.pack}|${k}`; };
+    const existingRefs = new Set(all.map(refKey).filter(Boolean));
+    const fresh = [];
+    let dupes = 0;
+    for (const c of imported) {
+      if (existing.has(c.id)) continue;
+      const k = refKey(c);
+      if (k && existingRefs.has(k)) { dupes++; continue; }
+      if (k) existingRefs.add(k);
+      existing.add(c.id);
+      fresh.push(c);
+    }
     const merged = [...all, ...fresh];
     const withOrder = assignOrdersByPack(merged);
     setCards(withOrder);
     window.markDirty?.('cards');
-    alert(`Imported ${fresh.length} new cards from ${files.length} file(s).`);
+    alert(`Imported ${fresh.length} new cards from ${files.length} file(s).${dupes ? ` Skipped ${dupes} duplicate reference(s).` : ""}`);
   }
 
   function exportJson() {
     const state = JSON.parse(localStorage.getItem("scripture_srs_v1") || "{}");
-    const blob = new Blob([JSON.stringify({ cards, settings, history, daily, capLog, test: state.test || null, bulkProgress }, null, 2)], { type: "application/json" });
+    const blob = new Blob([JSON.stringify({ cards, settings, history, attempts, seams, daily, capLog, test: state.test || null, bulkProgress, pauses }, null, 2)], { type: "application/json" });
     const url = URL.createObjectURL(blob);
     const a = document.createElement("a");
     a.href = url;
@@ -1262,25 +2748,29 @@ function App() {
       try {
         const data = JSON.parse(String(reader.result));
 
-        // Cards: migrate & re-order
+        // Cards: migrate & re-order (buckets mapped onto each pack's ladder)
         if (Array.isArray(data.cards)) {
-          const migrated = migrateAllCards(data.cards);
+          const migrated = migrateCardsToLadders(migrateAllCards(data.cards), data.settings ? upgradeSettings(data.settings) : settings);
           setCards(migrated);
         }
 
         // Settings: upgrade schema & keep current mode if you want
         if (data.settings) {
           const upgraded = upgradeSettings(data.settings);
+          setDayRolloverHour(upgraded.dayRolloverHour);
           setSettings(prev => ({ ...upgraded, mode: prev.mode }));
         }
 
         // NEW: restore progress data if present
         if (Array.isArray(data.history)) setHistory(data.history);
+        if (Array.isArray(data.attempts)) setAttempts(data.attempts);
+        if (data.seams && typeof data.seams === "object") setSeams(data.seams);
         if (data.daily) setDaily(data.daily);
         if (data.capLog) setCapLog(data.capLog);
         if (data.bulkProgress) setBulkProgress(coerceBulkProgress(data.bulkProgress));
+        if (Array.isArray(data.pauses)) setPauses(coercePauses(data.pauses));
         // after successful import:
-        window.markDirty?.('cards', 'settings', 'history', 'daily', 'capLog', 'bulkProgress');
+        window.markDirty?.('cards', 'settings', 'history', 'attempts', 'daily', 'capLog', 'bulkProgress');
 
         alert("Backup imported.");
       } catch {
@@ -1292,6 +2782,10 @@ function App() {
 
   function editCurrentCard(newRef, newText) {
     if (!currentCard) return;
+    pushUndo({
+      kind: "edit", label: `Edited ${currentCard.ref}`, cardId: currentCard.id,
+      prev: { ref: currentCard.ref, text: currentCard.text, contentHash: currentCard.contentHash },
+    });
 
     // Keep the SAME id — do NOT recompute it
     const updated = {
@@ -1307,14 +2801,49 @@ function App() {
     window.markDirty?.('cards');
   }
 
+  // Suggested grade for the current Writing submission (null when not applicable)
+  function writingSuggestion(card) {
+    if (!isScoredMode(settings.mode) || !writingSubmitted || !card || writingScore?.cardId !== card.id) return null;
+    const target = {
+      scheduler: schedulerForPack(settings, card.pack),
+      ladder: ladderForPack(settings, card.pack),
+      bucket: card.srs?.[scheduleKeyForMode(settings.mode)]?.bucket,
+    };
+    // what-comes-next scores carry their own quality (correctness + speed)
+    if (Number.isInteger(writingScore.score.quality)) return gradeForQuality(writingScore.score.quality, target);
+    return suggestWritingGrade(writingScore.score.pct, settings.writing, target);
+  }
+
+  // What comes next: every pick grades itself (Again when wrong) after a short look at the verse
+  useEffect(() => {
+    if (settings.mode !== "next" || !writingSubmitted || writingScore?.cardId !== currentCard?.id) return undefined;
+    const grade = writingSuggestion(currentCard);
+    if (!grade) return undefined;
+    const t = setTimeout(() => handleGrade(grade), 1500);
+    return () => clearTimeout(t);
+  }, [settings.mode, writingSubmitted, writingScore, currentCard?.id]); // eslint-disable-line react-hooks/exhaustive-deps
+
   const sessionElapsedMin = sessionStart ? Math.round((now() - sessionStart) / 6000) / 10 : 0;
   const bulkAvailableCount = activeBulkCards.filter((c) => !(bulkProgress.reviewedIds || []).includes(c.id)).length;
   const currentIsBulk = isActiveBulkCard(currentCard);
 
   // Helpers for UI conditions
-  const showGradeButtons = !(settings.mode === "writing" && !writingSubmitted);
-  const showBulkButtons = currentIsBulk && settings.mode !== "writing";
+  const showGradeButtons = !(isScoredMode(settings.mode) && !writingSubmitted);
+  const showBulkButtons = currentIsBulk && !isScoredMode(settings.mode);
   const showSrsGradeButtons = showGradeButtons && !showBulkButtons;
+  const currentScheduler = currentCard && !currentIsBulk ? schedulerForPack(settings, currentCard.pack) : "fixed";
+  const currentLadder = currentCard ? ladderForPack(settings, currentCard.pack) : STANDARD_LADDER;
+  const ladderForStats = React.useCallback((pack) => ladderForPack(settings, pack), [settings.ladders, settings.packLadders]);
+  const currentGrades = ladderGrades(currentLadder);
+  const currentShortcuts = ladderShortcutMap(currentLadder);
+  const suggestedGrade = writingSuggestion(currentCard);
+  const suggestClass = (g) => (g === suggestedGrade ? " ring-4 ring-indigo-300 ring-offset-1" : "");
+  const adaptivePreview = useMemo(() => {
+    if (currentScheduler !== "adaptive" || !currentCard) return {};
+    const key = scheduleKeyForMode(settings.mode);
+    const hist = cardHistoryFor(currentCard, key);
+    return Object.fromEntries(ADAPTIVE_GRADES.map((g) => [g, adaptiveNext(currentCard.srs[key], g, hist).days]));
+  }, [currentScheduler, currentCard, settings.mode, history]);
 
   return (
     <div className="min-h-screen bg-gray-50 p-4 pb-28 sm:pb-4">
@@ -1328,7 +2857,7 @@ function App() {
                 ? <>{BULK_DECK.label}: left {bulkAvailableCount} / {activeBulkCards.length} | {sessionElapsedMin}m</>
                 : settings.mode === "test"
                 ? <>Test: left {test.queue.length} · done {test.total - test.queue.length} / {test.total} | {sessionElapsedMin}m</>
-                : <>Due: {dueCards.length} | Done: {completed} | {sessionElapsedMin}m</>}
+                : <>Due: {dueCards.length} <span className="text-xs">(new {dueSplit.fresh} · review {dueCards.length - dueSplit.fresh})</span> | Done: {completed} | {sessionElapsedMin}m</>}
             </div>
             {/* Sync chip (unchanged) */}
             {(() => {
@@ -1356,14 +2885,23 @@ function App() {
         {/* Daily goal status bar */}
         {settings.mode !== "test" && settings.mode !== "bulk" && (
           <div className="text-xs text-gray-500">
-            Daily {settings.mode === "recognition" ? "FAST" : "SLOW"} goal:{" "}
-            {settings.mode === "recognition" ? todayCaps.fast : todayCaps.slow}
+            Daily {capKeyFor(scheduleKeyForMode(settings.mode)).toUpperCase()} goal:{" "}
+            {todayCaps[capKeyFor(scheduleKeyForMode(settings.mode))]}
             {" · "}done:{" "}
-            {settings.mode === "recognition" ? dailyReviewed.fast : dailyReviewed.slow}
+            {dailyReviewed[capKeyFor(scheduleKeyForMode(settings.mode))]}
             {" · "}left: {dailyRemaining(settings.mode)}
           </div>
         )}
 
+        {currentPause && (
+          <div className="rounded-xl border p-3 bg-sky-50 text-sky-900 flex items-center justify-between">
+            <span>Paused {currentPause.start} → {currentPause.end}. Nothing comes due until you resume.</span>
+            <button className="ml-4 text-xs px-2 py-1 rounded bg-sky-200 hover:bg-sky-300" onClick={() => resumePause(currentPause.id)}>
+              Resume now
+            </button>
+          </div>
+        )}
+
         {/* Settings */}
         <section className="rounded-2xl shadow p-4 bg-white grid gap-3 sm:grid-cols-4 items-end">
           <div>
@@ -1374,6 +2912,7 @@ function App() {
               onChange={(e) => {
                 setSettings({ ...settings, mode: e.target.value });
                 setSessionQueue([]);
+                setUndoStack([]);
                 setCompleted(0);
                 setBulkSkippedIds([]);
               }}
@@ -1382,6 +2921,13 @@ function App() {
               <option value="review">Review (narrow, revealed)</option>
               {/* NEW: Writing mode option */}
               <option value="writing">Writing (slow)</option>
+              <option value="firstletter">First letters (slow)</option>
+              <option value="cloze">Cloze (slow)</option>
+              <option value="scramble">Scramble (slow)</option>
+              <option value="reference">Reference recall (ref)</option>
+              <option value="next">What comes next (fast)</option>
+              <option value="passage">Passage (slow)</option>
+              <option value="transition">Transitions (seam)</option>
               <option value="test">Test (random, 2-button)</option>
               <option value="bulk">{BULK_DECK.label}</option>
             </select>
@@ -1406,6 +2952,18 @@ function App() {
                 value={settings.dailyCapFast}
                 onChange={(e) => { setSettings({ ...settings, dailyCapFast: Math.max(0, Number(e.target.value || 0)) }); window.markDirty?.('settings'); }} />
             </div>
+            <div className="mt-3">
+              <label className="block text-sm font-medium">New cards per day</label>
+              <input className="mt-1 w-full border rounded-xl p-2" type="number" min={0}
+                value={settings.newPerDay ?? DEFAULT_NEW_PER_DAY}
+                onChange={(e) => { setSettings({ ...settings, newPerDay: Math.max(0, Number(e.target.value || 0)) }); window.markDirty?.('settings'); }} />
+              <select className="mt-2 w-full border rounded-xl p-2 text-sm" value={settings.newCardOrder || "mixed"}
+                onChange={(e) => { setSettings({ ...settings, newCardOrder: e.target.value }); window.markDirty?.('settings'); }}>
+                <option value="mixed">Mix new cards among reviews</option>
+                <option value="newFirst">New cards first</option>
+                <option value="reviewsFirst">Reviews first</option>
+              </select>
+            </div>
           </div>
           <div>
             <label className="block text-sm font-medium">Advanced</label>
@@ -1418,8 +2976,10 @@ function App() {
           <div className="text-sm text-gray-600">
             {settings.mode === "bulk"
               ? `${BULK_DECK.label}: ${bulkAvailableCount} left in cycle.`
-              : settings.mode === "writing"
-                ? "Writing session uses random order over the pack."
+              : isTypedMode(settings.mode)
+                ? `${TYPED_MODE_LABELS[settings.mode]} session uses random order over the pack.`
+              : settings.mode === "passage"
+                ? "Passage: pick a run of verses below and write it out."
                 : `Cards due now: ${dueCards.length}`}
           </div>
           <div className="flex gap-2">
@@ -1430,6 +2990,16 @@ function App() {
               Start Session
             </button>
 
+            {leechCards.length > 0 && (
+              <button
+                className="px-4 py-2 rounded-xl bg-amber-100 text-amber-900"
+                onClick={startLeechSession}
+                title="Drill only the cards flagged as leeches (ignores due dates)"
+              >
+                Leeches ({leechCards.length})
+              </button>
+            )}
+
             {settings.mode === "test" && (
               <button
                 className="px-4 py-2 rounded-xl bg-rose-100 text-rose-800"
@@ -1442,6 +3012,17 @@ function App() {
           </div>
         </section>
 
+        {backlog && (
+          <div className="rounded-xl border p-3 bg-amber-50 text-amber-900 flex items-center justify-between">
+            <span>
+              Backlog: {backlog.count} overdue {backlog.key} cards ≈ {backlog.days} days of your daily goal.
+            </span>
+            <button className="ml-4 text-xs px-2 py-1 rounded bg-amber-200 hover:bg-amber-300 shrink-0" onClick={previewBacklogPlan}>
+              Plan recovery…
+            </button>
+          </div>
+        )}
+
         {/* Review / Writing Card */}
         <section className="rounded-2xl shadow p-6 bg-white">
           {/* Manual queue banner */}
@@ -1456,9 +3037,23 @@ function App() {
             </div>
           )}
 
-          {!currentCard ? (
+          {settings.mode === "passage" ? (
+            <PassageCard
+              cards={srsCards}
+              packs={packs}
+              defaultPack={filterPack}
+              opts={settings.writing || defaultWritingOptions()}
+              refDisplay={settings.refDisplay}
+              suggest={(card, pct) => suggestWritingGrade(pct, settings.writing, {
+                scheduler: schedulerForPack(settings, card.pack),
+                ladder: ladderForPack(settings, card.pack),
+                bucket: card.srs?.slow?.bucket,
+              })}
+              onApply={handlePassageGrades}
+            />
+          ) : !currentCard ? (
             <div className="text-center text-gray-500">
-              {settings.mode === "writing"
+              {isTypedMode(settings.mode)
                 ? "Start a writing session (randomized) or choose verses from 'View Verses' → 'Write selected now'."
                 : settings.mode === "bulk"
                   ? (activeBulkCards.length ? "Preparing 1 Tessalonicenses…" : "No 1 Tessalonicenses bulk cards loaded.")
@@ -1468,8 +3063,12 @@ function App() {
             </div>
           ) : (
             <div className="space-y-4">
-              {/* Header strip differs for Writing */}
-              {settings.mode !== "writing" ? (
+              {/* Header strip differs for Writing; reference recall hides where the verse is */}
+              {settings.mode === "reference" ? (
+                <div className="text-xs text-gray-500">Where is this verse? · {getActiveBucket(currentCard, settings.mode)}</div>
+              ) : settings.mode === "transition" ? (
+                <div className="text-xs text-gray-500">Pack: {currentCard.pack} · seam after the {ordinal(currentCard.order)} verse · {getActiveBucket(currentCard, settings.mode)}</div>
+              ) : !isTypedMode(settings.mode) ? (
                 <div className="text-xs text-gray-500">
                   Pack: {currentCard.pack}
                   {" · "}
@@ -1479,7 +3078,7 @@ function App() {
               ) : (
                 <div className="flex items-center justify-between text-xs text-gray-600">
                   <div className="truncate">
-                    <span className="font-medium text-gray-700">{currentCard.ref}</span>{" · "}
+                    <span className="font-medium text-gray-700">{displayRef(currentCard, settings.refDisplay)}</span>{" · "}
                     <span className="truncate">{currentCard.pack}</span>{" · "}
                     <span>{getActiveBucket(currentCard, "review")}</span>
                   </div>
@@ -1488,24 +3087,33 @@ function App() {
               )}
 
               {/* Title / prompt area */}
-              <div className="text-lg font-semibold">
+              {settings.mode !== "reference" && <div className="text-lg font-semibold">
                 {settings.mode === "recognition" ? (
-                  <CardFrontRecognition card={currentCard} words={settings.showFirstNWords} />
+                  <CardFrontRecognition card={currentCard} words={settings.showFirstNWords} refDisplay={settings.refDisplay} />
                 ) : (settings.mode === "review" || settings.mode === "test" || settings.mode === "bulk") ? (
-                  <div><div className="text-gray-700 text-sm">{currentCard.ref}</div></div>
+                  <div><div className="text-gray-700 text-sm">{isTransitionCard(currentCard) ? currentCard.ref : displayRef(currentCard, settings.refDisplay)}</div></div>
                 ) : (
-                  <div className="text-gray-700 text-sm">{currentCard.ref}</div>
+                  <div className="text-gray-700 text-sm">{isTransitionCard(currentCard) ? currentCard.ref : displayRef(currentCard, settings.refDisplay)}</div>
                 )}
-              </div>
+              </div>}
+
+              {suggestedGrade && (
+                <div className="text-[11px] text-indigo-700">
+                  Suggested grade from {writingScore.score.pct}% accuracy: <b>{suggestedGrade}</b> (Enter).
+                </div>
+              )}
 
               {/* Keyboard shortcuts note (hide for writing) */}
-              {settings.mode !== "writing" && (
+              {!isScoredMode(settings.mode) && (
                 <div className="text-[11px] text-gray-500">
                   {settings.mode === "test"
                     ? "Shortcuts (Test): A = Again, G = Good."
                     : currentIsBulk
                       ? "Shortcuts: R or Enter = Reviewed, S = Skip."
-                    : "Shortcuts: 1, 3, 7, 0 (14D), 9 (30D), 6 (90D)."}
+                    : currentScheduler === "adaptive"
+                      ? "Shortcuts: 1 = Again, 2 = Hard, 3 = Good, 4 = Easy."
+                    : `Shortcuts: ${currentGrades.map((g) => { const k = shortcutKeyFor(currentShortcuts, g); return k ? `${k} (${g})` : null; }).filter(Boolean).join(", ")}.`}
+                  {" "}U or Ctrl+Z = Undo.
                 </div>
               )}
 
@@ -1532,13 +3140,80 @@ function App() {
                 </div>
               )}
 
+              {settings.mode === "transition" && <TransitionFront key={currentCard.id} card={currentCard} />}
+
               {/* NEW: Writing box + feedback */}
               {settings.mode === "writing" && (
-                <WritingCard
+                ["live", "strict"].includes(settings.writing?.liveMode) ? (
+                  <LiveWritingCard
+                    key={currentCard.id}
+                    card={currentCard}
+                    opts={settings.writing}
+                    onSubmit={(res) => handleTypedSubmit(currentCard, res)}
+                    onSkip={handleSkip}
+                  />
+                ) : (
+                  <WritingCard
+                    key={currentCard.id}
+                    card={currentCard}
+                    opts={settings.writing || defaultWritingOptions()}
+                    onSubmit={(res) => handleTypedSubmit(currentCard, res)}
+                    onSkip={handleSkip}
+                  />
+                )
+              )}
+
+              {settings.mode === "firstletter" && (
+                <FirstLetterCard
+                  key={currentCard.id}
+                  card={currentCard}
+                  opts={settings.writing || defaultWritingOptions()}
+                  onSubmit={(res) => handleTypedSubmit(currentCard, res)}
+                  onSkip={handleSkip}
+                />
+              )}
+
+              {settings.mode === "scramble" && (
+                <ScrambleCard
+                  key={currentCard.id}
+                  card={currentCard}
+                  bucket={currentCard.srs?.slow?.bucket}
+                  revealAfter={Math.max(0, Number(settings.writing?.liveRevealAfter ?? 3))}
+                  onSubmit={(res) => handleTypedSubmit(currentCard, res)}
+                  onSkip={handleSkip}
+                />
+              )}
+
+              {settings.mode === "next" && (
+                <NextChoiceCard
+                  key={currentCard.id}
+                  card={currentCard}
+                  cards={srsCards}
+                  fragmentWords={settings.showFirstNWords}
+                  cfg={coerceNextChoice(settings.nextChoice)}
+                  onAnswer={(res) => { setWritingScore({ cardId: currentCard.id, score: res.score }); setWritingSubmitted(true); }}
+                  onSkip={handleSkip}
+                />
+              )}
+
+              {settings.mode === "reference" && (
+                <ReferenceCard
+                  key={currentCard.id}
+                  card={currentCard}
+                  snippetWords={settings.showFirstNWords}
+                  onSubmit={(res) => { setWritingScore({ cardId: currentCard.id, score: res.score }); setWritingSubmitted(true); }}
+                  onSkip={handleSkip}
+                />
+              )}
+
+              {settings.mode === "cloze" && (
+                <ClozeCard
                   key={currentCard.id}
                   card={currentCard}
                   opts={settings.writing || defaultWritingOptions()}
-                  onSubmit={() => setWritingSubmitted(true)}
+                  pct={clozeDensity(currentCard.srs?.slow?.bucket, ladderForPack(settings, currentCard.pack), coerceCloze(settings.cloze))}
+                  pattern={coerceCloze(settings.cloze).pattern}
+                  onSubmit={(res) => handleTypedSubmit(currentCard, res)}
                   onSkip={handleSkip}
                 />
               )}
@@ -1583,62 +3258,40 @@ function App() {
                     <div className="font-semibold">Good</div>
                   </button>
                 </div>
-              ) : (
-                showSrsGradeButtons && (
-                  <div className="hidden sm:grid sm:grid-cols-6 gap-2">
-                    <button
-                      title="1 day (1)"
-                      aria-label="1 day (1)"
-                      className="px-3 py-2 rounded-xl bg-gray-800 text-white"
-                      onClick={() => handleGrade("1D")}
-                    >
-                      <div className="font-semibold">1D</div>
-                    </button>
-
-                    <button
-                      title="3 days (3)"
-                      aria-label="3 days (3)"
-                      className="px-3 py-2 rounded-xl bg-gray-700 text-white"
-                      onClick={() => handleGrade("3D")}
-                    >
-                      <div className="font-semibold">3D</div>
-                    </button>
-
-                    <button
-                      title="7 days (7)"
-                      aria-label="7 days (7)"
-                      className="px-3 py-2 rounded-xl bg-indigo-600 text-white"
-                      onClick={() => handleGrade("7D")}
-                    >
-                      <div className="font-semibold">7D</div>
-                    </button>
-
-                    <button
-                      title="14 days (0)"
-                      aria-label="14 days (0)"
-                      className="px-3 py-2 rounded-xl bg-violet-600 text-white"
-                      onClick={() => handleGrade("14D")}
-                    >
-                      <div className="font-semibold">14D</div>
-                    </button>
-
-                    <button
-                      title="30 days (9)"
-                      aria-label="30 days (9)"
-                      className="px-3 py-2 rounded-xl bg-emerald-600 text-white"
-                      onClick={() => handleGrade("30D")}
-                    >
-                      <div className="font-semibold">30D</div>
-                    </button>
-
+              ) : showSrsGradeButtons && currentScheduler === "adaptive" ? (
+                <div className="hidden sm:grid sm:grid-cols-4 gap-2">
+                  {ADAPTIVE_GRADES.map((g, i) => (
                     <button
-                      title="90 days"
-                      aria-label="90 days"
-                      className="px-3 py-2 rounded-xl bg-teal-600 text-white"
-                      onClick={() => handleGrade("90D")}
+                      key={g}
+                      title={`${g} (${i + 1})`}
+                      aria-label={`${g} (${i + 1})`}
+                      className={`px-3 py-2 rounded-xl ${ADAPTIVE_GRADE_CLASS[g]}${suggestClass(g)}`}
+                      onClick={() => handleGrade(g)}
                     >
-                      <div className="font-semibold">90D</div>
+                      <div className="font-semibold">{g}</div>
+                      <div className="text-[11px] opacity-80">{fmtDays(adaptivePreview[g] ?? 0)}</div>
                     </button>
+                  ))}
+                </div>
+              ) : (
+                showSrsGradeButtons && (
+                  <div className="hidden sm:grid gap-2" style={{ gridTemplateColumns: `repeat(${currentGrades.length}, minmax(0, 1fr))` }}>
+                    {currentGrades.map((g, i) => {
+                      const key = shortcutKeyFor(currentShortcuts, g);
+                      const d = bucketDays(g);
+                      const title = `${d} day${d === 1 ? "" : "s"}${key ? ` (${key})` : ""}`;
+                      return (
+                        <button
+                          key={g}
+                          title={title}
+                          aria-label={title}
+                          className={`px-3 py-2 rounded-xl text-white ${gradeButtonClass(i)}${suggestClass(g)}`}
+                          onClick={() => handleGrade(g)}
+                        >
+                          <div className="font-semibold">{g}</div>
+                        </button>
+                      );
+                    })}
                   </div>
                 )
               )}
@@ -1667,69 +3320,45 @@ function App() {
                       onClick={handleTestGood}><div className="font-semibold">Good</div></button>
                   </div>
                 </div>
+              ) : showSrsGradeButtons && currentScheduler === "adaptive" ? (
+                <div className="sm:hidden fixed left-0 right-0 bottom-0 z-40 border-t bg-white/95 backdrop-blur p-3">
+                  <div className="grid grid-cols-4 gap-2">
+                    {ADAPTIVE_GRADES.map((g, i) => (
+                      <button key={g} title={`${g} (${i + 1})`} aria-label={`${g} (${i + 1})`}
+                        className={`px-3 py-2 rounded-xl ${ADAPTIVE_GRADE_CLASS[g]}${suggestClass(g)}`}
+                        onClick={() => handleGrade(g)}>
+                        <div className="font-semibold">{g}</div>
+                        <div className="text-[11px] opacity-80">{fmtDays(adaptivePreview[g] ?? 0)}</div>
+                      </button>
+                    ))}
+                  </div>
+                </div>
               ) : (
                 showSrsGradeButtons && (
                   <div className="sm:hidden fixed left-0 right-0 bottom-0 z-40 border-t bg-white/95 backdrop-blur p-3">
                     <div className="grid grid-cols-3 gap-2">
-                      <button
-                        title="1 day (1)"
-                        aria-label="1 day (1)"
-                        className="px-3 py-2 rounded-xl bg-gray-800 text-white"
-                        onClick={() => handleGrade("1D")}
-                      >
-                        <div className="font-semibold">1D</div>
-                      </button>
-
-                      <button
-                        title="3 days (3)"
-                        aria-label="3 days (3)"
-                        className="px-3 py-2 rounded-xl bg-gray-700 text-white"
-                        onClick={() => handleGrade("3D")}
-                      >
-                        <div className="font-semibold">3D</div>
-                      </button>
-
-                      <button
-                        title="7 days (7)"
-                        aria-label="7 days (7)"
-                        className="px-3 py-2 rounded-xl bg-indigo-600 text-white"
-                        onClick={() => handleGrade("7D")}
-                      >
-                        <div className="font-semibold">7D</div>
-                      </button>
-
-                      <button
-                        title="14 days (0)"
-                        aria-label="14 days (0)"
-                        className="px-3 py-2 rounded-xl bg-violet-600 text-white"
-                        onClick={() => handleGrade("14D")}
-                      >
-                        <div className="font-semibold">14D</div>
-                      </button>
-
-                      <button
-                        title="30 days (9)"
-                        aria-label="30 days (9)"
-                        className="px-3 py-2 rounded-xl bg-emerald-600 text-white"
-                        onClick={() => handleGrade("30D")}
-                      >
-                        <div className="font-semibold">30D</div>
-                      </button>
-
-                      <button
-                        title="90 days"
-                        aria-label="90 days"
-                        className="px-3 py-2 rounded-xl bg-teal-600 text-white"
-                        onClick={() => handleGrade("90D")}
-                      >
-                        <div className="font-semibold">90D</div>
-                      </button>
+                      {currentGrades.map((g, i) => {
+                        const key = shortcutKeyFor(currentShortcuts, g);
+                        const d = bucketDays(g);
+                        const title = `${d} day${d === 1 ? "" : "s"}${key ? ` (${key})` : ""}`;
+                        return (
+                          <button
+                            key={g}
+                            title={title}
+                            aria-label={title}
+                            className={`px-3 py-2 rounded-xl text-white ${gradeButtonClass(i)}${suggestClass(g)}`}
+                            onClick={() => handleGrade(g)}
+                          >
+                            <div className="font-semibold">{g}</div>
+                          </button>
+                        );
+                      })}
                     </div>
                   </div>
                 )
               )}
 
-              <EditableArea card={currentCard} onSave={editCurrentCard} />
+              {!isTransitionCard(currentCard) && <EditableArea card={currentCard} onSave={editCurrentCard} />}
             </div>
           )}
         </section>
@@ -1737,7 +3366,7 @@ function App() {
         {/* Stats */}
         <section className="rounded-2xl shadow p-4 bg-white">
           <h2 className="font-semibold mb-2">Stats</h2>
-          <Stats cards={srsCards} />
+          <Stats cards={srsCards} transitions={coerceTransitions(settings.transitions).inStats ? transitionCards : []} ladderFor={ladderForStats} />
         </section>
 
         {/* View Verses */}
@@ -1745,9 +3374,12 @@ function App() {
           cards={srsCards}
           packs={packs}
           currentPack={versesPack}
+          refDisplay={settings.refDisplay}
           onChangePack={setVersesPack}
           scheduleKey={viewScheduleKey}
           onChangeScheduleKey={setViewScheduleKey}
+          coupling={settings.coupling}
+          attempts={attempts}
           onStartManual={(ids) => {
             if (!ids?.length) return;
             setSessionQueue(ids);
@@ -1764,16 +3396,68 @@ function App() {
           }}
           /* NEW: delete selected now */
           onDeleteSelected={(ids) => deleteSelectedCardsNow(ids)}
+          onClearLeech={clearLeechFlags}
         />
 
         {/* History */}
-        <GoalHistoryView history={history} capLog={capLog} defaultWindowDays={14} />
+        <GoalHistoryView history={history} capLog={capLog} pauses={pauses} todayKey={daily.key} dayRolloverHour={settings.dayRolloverHour} defaultWindowDays={14} />
+
+        {toast && (
+          <UndoToast
+            key={toast.at}
+            text={toast.text}
+            canUndo={undoStack.length > 0}
+            onUndo={undoLast}
+            onDismiss={() => setToast(null)}
+          />
+        )}
+
+        {backlogPlan && (
+          <BacklogPlanModal
+            plan={backlogPlan}
+            cards={srsCards}
+            refDisplay={settings.refDisplay}
+            onApply={applyBacklogPlan}
+            onClose={() => setBacklogPlan(null)}
+          />
+        )}
 
         {/* Pack Manager Modal */}
         {packManagerOpen && (
           <PackManager
             cards={srsCards}
             onClose={() => setPackManagerOpen(false)}
+            packSchedulers={settings.packSchedulers || {}}
+            newPerDay={settings.newPerDay ?? DEFAULT_NEW_PER_DAY}
+            packNewPerDay={settings.packNewPerDay || {}}
+            onChangePackNewPerDay={(pack, n) => {
+              setSettings(prev => {
+                const packNewPerDay = { ...(prev.packNewPerDay || {}) };
+                if (n == null) delete packNewPerDay[pack]; else packNewPerDay[pack] = n;
+                return { ...prev, packNewPerDay };
+              });
+              window.markDirty?.('settings');
+            }}
+            onChangeScheduler={(pack, scheduler) => {
+              setSettings(prev => ({ ...prev, packSchedulers: { ...(prev.packSchedulers || {}), [pack]: scheduler } }));
+              window.markDirty?.('settings');
+            }}
+            ladders={allLadders(settings)}
+            packLadders={settings.packLadders || {}}
+            onChangeLadder={(pack, ladderId) => {
+              const packLadders = { ...(settings.packLadders || {}) };
+              if (ladderId === STANDARD_LADDER.id) delete packLadders[pack]; else packLadders[pack] = ladderId;
+              updateLadders(settings.ladders || {}, packLadders);
+            }}
+            onSaveLadder={({ name, days }) => {
+              const id = `ladder_${hashString(`${name}|${days.join(",")}|${now()}`)}`;
+              updateLadders({ ...(settings.ladders || {}), [id]: { id, name, days } }, settings.packLadders || {});
+            }}
+            onDeleteLadder={(id) => {
+              const { [id]: _removed, ...ladders } = settings.ladders || {};
+              const packLadders = Object.fromEntries(Object.entries(settings.packLadders || {}).filter(([, l]) => l !== id));
+              updateLadders(ladders, packLadders);
+            }}
             onDelete={async (packsToDelete) => {
               const norm = (s) => {
                 const raw = String(s ?? "");
@@ -1842,6 +3526,56 @@ function App() {
               setSettings(prev => ({ ...prev, writing: next }));
               window.markDirty?.('settings'); // harmless; server ignores unknown fields
             }}
+            pauses={pauses}
+            onAddPause={addPause}
+            onResumePause={(id) => resumePause(id)}
+            onCancelPause={cancelPause}
+            backlogDays={settings.backlogDays ?? DEFAULT_BACKLOG_DAYS}
+            onChangeBacklogDays={(n) => {
+              setSettings(prev => ({ ...prev, backlogDays: n }));
+              window.markDirty?.('settings');
+            }}
+            leechThreshold={settings.leechThreshold ?? DEFAULT_LEECH_THRESHOLD}
+            onChangeLeechThreshold={(n) => {
+              setSettings(prev => ({ ...prev, leechThreshold: n }));
+              window.markDirty?.('settings');
+            }}
+            refDisplay={settings.refDisplay}
+            onChangeRefDisplay={(v) => {
+              setSettings(prev => ({ ...prev, refDisplay: v }));
+              window.markDirty?.('settings');
+            }}
+            syncAttempts={!!settings.syncAttempts}
+            onChangeSyncAttempts={(on) => {
+              setSettings(prev => ({ ...prev, syncAttempts: on }));
+              if (on) window.markDirty?.('attempts');
+            }}
+            transitions={coerceTransitions(settings.transitions)}
+            onChangeTransitions={(next) => {
+              setSettings(prev => ({ ...prev, transitions: coerceTransitions(next) }));
+              window.markDirty?.('settings');
+            }}
+            nextChoice={coerceNextChoice(settings.nextChoice)}
+            onChangeNextChoice={(next) => {
+              setSettings(prev => ({ ...prev, nextChoice: coerceNextChoice(next) }));
+              window.markDirty?.('settings');
+            }}
+            cloze={coerceCloze(settings.cloze)}
+            onChangeCloze={(next) => {
+              setSettings(prev => ({ ...prev, cloze: coerceCloze(next) }));
+              window.markDirty?.('settings');
+            }}
+            coupling={coerceCoupling(settings.coupling)}
+            onChangeCoupling={(next) => {
+              setSettings(prev => ({ ...prev, coupling: coerceCoupling(next) }));
+              window.markDirty?.('settings');
+            }}
+            dayRolloverHour={settings.dayRolloverHour ?? DEFAULT_DAY_ROLLOVER_HOUR}
+            onChangeDayRolloverHour={(n) => {
+              setDayRolloverHour(n);
+              setSettings(prev => ({ ...prev, dayRolloverHour: n }));
+              window.markDirty?.('settings');
+            }}
           />
         )}
       </div>
@@ -1853,7 +3587,7 @@ function App() {
    Small presentational bits
 ========================= */
 
-function CardFrontRecognition({ card, words }) {
+function CardFrontRecognition({ card, words, refDisplay }) {
   const { firstWords, total } = React.useMemo(() => {
     const parts = card.text.split(/\s+/);
     return { firstWords: parts.slice(0, words).join(" "), total: parts.length };
@@ -1861,7 +3595,7 @@ function CardFrontRecognition({ card, words }) {
 
   return (
     <div>
-      <div className="text-gray-700 text-sm">{card.ref}</div>
+      <div className="text-gray-700 text-sm">{displayRef(card, refDisplay)}</div>
       <div className="mt-1 text-2xl">
         {firstWords}
         {total > words ? " …" : ""}
@@ -1870,6 +3604,25 @@ function CardFrontRecognition({ card, words }) {
   );
 }
 
+/* Undo toast: last action + Undo button (Ctrl+Z / U on keyboards) */
+function UndoToast({ text, canUndo, onUndo, onDismiss }) {
+  useEffect(() => {
+    const t = setTimeout(onDismiss, 6000);
+    return () => clearTimeout(t);
+  }, []); // eslint-disable-line react-hooks/exhaustive-deps
+  return (
+    <div className="fixed left-1/2 -translate-x-1/2 bottom-24 sm:bottom-6 z-50 max-w-[90vw] rounded-xl bg-gray-900 text-white shadow-lg px-4 py-2 flex items-center gap-3 text-sm">
+      <span className="truncate">{text}</span>
+      {canUndo && (
+        <button className="px-2 py-1 rounded bg-white/20 hover:bg-white/30 font-semibold shrink-0" onClick={onUndo} title="Undo (Ctrl+Z / U)">
+          Undo
+        </button>
+      )}
+      <button className="text-white/70 shrink-0" onClick={onDismiss} aria-label="Dismiss">×</button>
+    </div>
+  );
+}
+
 /* NEW: Header hint toggle for Writing */
 function HintToggle({ text, words }) {
   const [open, setOpen] = useState(false);
@@ -1894,11 +3647,35 @@ function HintToggle({ text, words }) {
    - Shows inline colored runs on typed text only
    - Skip available before submit
 ========================= */
+const WORD_DIFF_CLASS = {
+  ok: "bg-emerald-200 text-emerald-900 rounded-sm",
+  sub: "bg-rose-200 text-rose-900 rounded-sm",
+  subTarget: "bg-amber-200 text-amber-900 rounded-sm",
+  ins: "bg-rose-100 text-rose-800 line-through rounded-sm",
+  del: "bg-rose-200 text-rose-900 rounded-sm",
+  moved: "bg-violet-200 text-violet-900 rounded-sm",
+};
+
+function ScoreLine({ score }) {
+  if (!score) return null;
+  return (
+    <div className="mt-1 text-xs text-gray-600">
+      Accuracy <b>{score.pct}%</b> · matched {score.matched}/{score.total}
+      {score.wrong ? <> · wrong {score.wrong}</> : null}
+      {score.accents ? <> · accent slips {score.accents} (½ each)</> : null}
+      {score.nearMisses ? <> · near misses {score.nearMisses} (partial)</> : null}
+      {score.missedHead ? <> · missed head {score.missedHead}</> : null}
+      {score.missedTail ? <> · missed tail {score.missedTail}</> : null}
+    </div>
+  );
+}
+
 function WritingCard({ card, opts, onSubmit, onSkip }) {
   const [value, setValue] = useState("");
   const [composing, setComposing] = useState(false);
   const [feedback, setFeedback] = useState(null); // {runs, exact, missingHead*, missingTail*, mid*}
   const [view, setView] = useState("typed"); // "typed" | "actual"
+  const [granularity, setGranularity] = useState(opts?.diffView === "words" ? "words" : "chars");
   const taRef = useRef(null);
 
   // Auto-grow textarea
@@ -1919,9 +3696,10 @@ function WritingCard({ card, opts, onSubmit, onSkip }) {
   function handleSubmit() {
     if (composing) return;
     const diff = diffCharsLCS(value, card.text, opts);
-    setFeedback(diff);
+    const words = diffWordsLCS(value, card.text, opts);
+    setFeedback({ ...diff, words });
     setView("typed");
-    onSubmit?.();
+    onSubmit?.({ ...diff, typed: value, wrongRanges: runRanges(words.targetRuns, ["del", "sub", "moved"]) });
   }
 
   function handleTextareaKeyDown(e) {
@@ -1952,7 +3730,16 @@ function WritingCard({ card, opts, onSubmit, onSkip }) {
           )}
           {/* user's typing with LCS highlights */}
           {feedback.runs.map((r, i) =>
-            r.ok === true ? (
+            r.jamo ? (
+              <span key={i} className="bg-orange-200 text-orange-900 rounded-sm" title={`Expected ${r.expected} · ${Math.round(r.partial * 100)}% of jamo right`}>
+                {r.text}
+                <sub className="text-[10px] font-sans">
+                  {r.jamo.map((x, k) => <span key={k} className={x.ok ? "" : "text-rose-700 font-bold"}>{x.ch}</span>)}
+                </sub>
+              </span>
+            ) : r.accent ? (
+              <span key={i} className="bg-amber-200 text-amber-900 rounded-sm" title="Accent only">{r.text}</span>
+            ) : r.ok === true ? (
               <span key={i} className="bg-emerald-200 text-emerald-900 rounded-sm">{r.text}</span>
             ) : r.ok === false ? (
               <span key={i} className="bg-rose-200 text-rose-900 rounded-sm">{r.text}</span>
@@ -1970,11 +3757,36 @@ function WritingCard({ card, opts, onSubmit, onSkip }) {
         </div>
         {!feedback.exact ? (
           <div className="mt-2 text-xs text-gray-500">
-            Green = correct, Red = incorrect. Red at the start/end shows skipped opening/ending words.
+            Green = correct, Red = incorrect{opts?.accentHalfError ? ", Amber = accent only (half error)" : ""}{opts?.hangulJamo ? ", Orange = near-miss syllable (wrong jamo in bold red)" : ""}. Red at the start/end shows skipped opening/ending words.
           </div>
         ) : (
           <div className="mt-2 text-xs text-emerald-700">Perfect match after normalization.</div>
         )}
+        <ScoreLine score={feedback.score} />
+      </div>
+    );
+  }
+
+  // Word view: same panel for both sides, different run sets
+  function WordsPanel({ side }) {
+    const w = feedback.words;
+    const runs = side === "typed" ? w.typedRuns : w.targetRuns;
+    const c = w.counts;
+    return (
+      <div className="rounded-xl border p-3 bg-gray-50">
+        <div className="font-mono whitespace-pre-wrap leading-6 break-words">
+          {runs.map((r, i) => (
+            <span key={i} className={(side === "actual" && r.kind === "sub" ? WORD_DIFF_CLASS.subTarget : WORD_DIFF_CLASS[r.kind]) || ""}>{r.text}</span>
+          ))}
+        </div>
+        <div className="mt-2 text-xs text-gray-500">
+          {side === "typed"
+            ? "Green = correct, Red = wrong word, Red struck = extra word, Purple = right word in the wrong place."
+            : "Red = missed word, Amber = replaced word, Purple = word you typed elsewhere."}
+        </div>
+        <div className="mt-1 text-xs text-gray-600">
+          Words: {c.ok} correct · {c.sub} substituted · {c.ins} extra · {c.del} missed · {c.moved} moved
+        </div>
       </div>
     );
   }
@@ -2076,9 +3888,23 @@ function WritingCard({ card, opts, onSubmit, onSkip }) {
             >
               Actual verse
             </button>
+            <span className="ml-auto" />
+            {["chars", "words"].map((g) => (
+              <button
+                key={g}
+                className={`px-3 py-1 rounded-full text-sm ${granularity === g ? "bg-gray-800 text-white" : "bg-gray-200"}`}
+                onClick={() => setGranularity(g)}
+                aria-pressed={granularity === g}
+                title={g === "chars" ? "Compare letter by letter" : "Compare word by word"}
+              >
+                {g === "chars" ? "Letters" : "Words"}
+              </button>
+            ))}
           </div>
 
-          {view === "typed" ? <TypingPanel /> : <ActualPanel />}
+          {granularity === "words"
+            ? <WordsPanel side={view} />
+            : view === "typed" ? <TypingPanel /> : <ActualPanel />}
         </>
       )}
     </div>
@@ -2086,14 +3912,1087 @@ function WritingCard({ card, opts, onSubmit, onSkip }) {
 }
 
 /* =========================
-   Editable / Packs / Stats (mostly unchanged)
-   - Pack Manager extracted to container for brevity
+   Live Writing (word-by-word check while typing)
+   - "live": a wrong word is marked red and you move on
+   - "strict": a wrong word must be retyped; after `liveRevealAfter` misses
+     it is revealed and counted as failed
+   Words come from normalizeForCompare + wordsFromNormalized, so the same
+   comparison options apply. Space/Enter commits a word (not while an IME
+   is composing). Score: 1 per clean word, ½ if fixed after misses, 0 if
+   wrong or revealed.
 ========================= */
-function EditableArea({ card, onSave }) {
-  const [editing, setEditing] = useState(false);
-  const [ref, setRef] = useState(card.ref);
-  const [text, setText] = useState(card.text);
-  useEffect(() => { setRef(card.ref); setText(card.text); }, [card.id]);
+const LIVE_WORD_CLASS = {
+  ok: "bg-emerald-200 text-emerald-900",
+  fixed: "bg-amber-200 text-amber-900",
+  accent: "bg-amber-100 text-amber-900",
+  wrong: "bg-rose-200 text-rose-900",
+  revealed: "bg-gray-200 text-gray-500 italic",
+};
+
+function liveWordKey(text, opts) {
+  return normalizeForCompare(text, opts).keys.filter((k) => k.trim()).join("");
+}
+
+function LiveWritingCard({ card, opts, onSubmit, onSkip }) {
+  const strict = opts?.liveMode === "strict";
+  const revealAfter = Math.max(0, Number(opts?.liveRevealAfter ?? 3));
+  const words = useMemo(() => wordsFromNormalized(normalizeForCompare(card.text, opts)), [card.text, opts]);
+  const [input, setInput] = useState("");
+  const [composing, setComposing] = useState(false);
+  const [done, setDone] = useState([]); // [{ typed, mistakes, status: "ok"|"fixed"|"wrong"|"revealed" }]
+  const [misses, setMisses] = useState(0); // failed attempts on the current word
+  const [result, setResult] = useState(null);
+  const inputRef = useRef(null);
+  const lastSpaceRef = useRef(null); // { raw, via } of the last space committed from onChange / compositionend
+  const finishedRef = useRef(false);
+
+  useEffect(() => {
+    setInput(""); setDone([]); setMisses(0); setResult(null);
+    lastSpaceRef.current = null; finishedRef.current = false;
+  }, [card.id]);
+  useEffect(() => { inputRef.current?.focus(); }, [done.length, card.id]);
+
+  const idx = done.length;
+  const target = words[idx];
+  const typedKey = liveWordKey(input, opts);
+  const onTrack = !target || composing || target.key.startsWith(typedKey);
+
+  function finish(list) {
+    if (finishedRef.current) return;
+    finishedRef.current = true;
+    const credit = list.reduce((n, w) => n + (w.status === "ok" ? 1 : w.status === "fixed" ? 0.5 : 0), 0);
+    const wordMistakes = {};
+    list.forEach((w, i) => { if (w.mistakes) wordMistakes[i] = w.mistakes; });
+    const typedText = list.map((w) => w.typed).join(" ");
+    const diff = diffCharsLCS(typedText, card.text, opts);
+    const score = {
+      ...diff.score,
+      pct: list.length ? Math.round((credit / list.length) * 1000) / 10 : 100,
+      liveWords: list.length,
+      liveClean: list.filter((w) => w.status === "ok").length,
+      wordMistakes,
+    };
+    const wrongRanges = list.map((w, i) => (w.status === "ok" ? null : [words[i].rawStart, words[i].rawEnd])).filter(Boolean);
+    const res = { ...diff, score, words: diffWordsLCS(typedText, card.text, opts), live: list, typed: typedText, wrongRanges };
+    setResult(res);
+    onSubmit?.(res);
+  }
+
+  function push(entry) {
+    const next = done.concat(entry);
+    setDone(next); setInput(""); setMisses(0);
+    if (next.length >= words.length) finish(next);
+  }
+
+  function commit(value = input) {
+    const key = liveWordKey(value, opts);
+    if (!target || !key) return;
+    if (key === target.key) {
+      push({ typed: value.trim(), mistakes: misses, status: misses ? "fixed" : "ok" });
+      return;
+    }
+    if (!strict) { push({ typed: value.trim(), mistakes: 1, status: "wrong" }); return; }
+    const n = misses + 1;
+    if (revealAfter && n >= revealAfter) { reveal(n); return; }
+    setMisses(n);
+    inputRef.current?.select();
+  }
+
+  function reveal(mistakes = misses) {
+    if (!target) return;
+    push({ typed: card.text.slice(target.rawStart, target.rawEnd), mistakes, status: "revealed" });
+  }
+
+  function onKeyDown(e) {
+    if (composing || e.isComposing || e.nativeEvent?.isComposing) return;
+    if (e.key === " " || e.key === "Enter") { e.preventDefault(); commit(); }
+  }
+
+  // A space can also arrive as text: Korean IMEs send the Space keydown while
+  // composing and Android keyboards report "Unidentified", so the keydown above
+  // never sees it. Commit the word before the whitespace here instead.
+  // Some browsers report one space through both compositionend and input:
+  // only that second report (other path, same value) is dropped, so the same
+  // wrong word typed again still counts as another miss.
+  function accept(raw, isComposing, via = "change") {
+    const last = lastSpaceRef.current;
+    lastSpaceRef.current = null;
+    if (isComposing || !/\s/.test(raw)) { setInput(raw); return; }
+    const word = raw.split(/\s+/).find(Boolean) || "";
+    setInput(word);
+    if (!word || (last && last.raw === raw && last.via !== via)) return;
+    lastSpaceRef.current = { raw, via };
+    commit(word);
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="rounded-xl border p-3 bg-gray-50 font-mono leading-7 break-words">
+        {done.map((w, i) => (
+          <span key={i}>
+            <span className={`rounded-sm px-0.5 ${LIVE_WORD_CLASS[w.status]}`} title={w.mistakes ? `${w.mistakes} miss${w.mistakes > 1 ? "es" : ""}` : ""}>
+              {w.status === "wrong" ? w.typed : card.text.slice(words[i].rawStart, words[i].rawEnd)}
+            </span>{" "}
+          </span>
+        ))}
+        {!result && target && (
+          <input
+            ref={inputRef}
+            className={`inline-block w-40 border rounded-lg px-2 py-0.5 text-base ${onTrack ? "border-gray-300" : "border-rose-500 bg-rose-50 text-rose-800"}`}
+            value={input}
+            onChange={(e) => accept(e.target.value, composing || e.nativeEvent?.isComposing)}
+            onCompositionStart={() => setComposing(true)}
+            onCompositionEnd={(e) => { setComposing(false); accept(e.target.value, false, "compositionend"); }}
+            onKeyDown={onKeyDown}
+            autoCapitalize="off" autoCorrect="off" spellCheck={false}
+            enterKeyHint="next"
+            placeholder={`word ${idx + 1}/${words.length}`}
+          />
+        )}
+      </div>
+
+      {!result ? (
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <span className="text-gray-500">
+            {strict ? "Strict: retype wrong words" : "Live: wrong words turn red"}
+            {strict && misses > 0 && <> · misses on this word: {misses}{revealAfter ? `/${revealAfter}` : ""}</>}
+          </span>
+          <span className="ml-auto" />
+          {strict && <button className="px-3 py-2 rounded-xl bg-gray-200" onClick={() => reveal()}>Reveal word</button>}
+          <button className="px-3 py-2 rounded-xl bg-gray-200" onClick={onSkip}>Skip</button>
+        </div>
+      ) : (
+        <div className="rounded-xl border p-3 bg-white text-xs text-gray-600 space-y-1">
+          <div>
+            Clean words {result.score.liveClean}/{result.score.liveWords} · score <b>{result.score.pct}%</b>
+            {" "}(fixed after misses = ½, wrong/revealed = 0)
+          </div>
+          <div>Green = first try, Amber = fixed after misses, Red = wrong, Grey = revealed.</div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/* =========================
+   First-letter mode: type one letter per word
+   - The letter is compared with normalizeForCompare, so case and
+     diacritics follow settings.writing; with accentHalfError an
+     accent-only slip is accepted for half credit
+   - Hangul: the initial consonant (ㅂ for 빌) or any syllable with the
+     same initial is accepted
+   - Input is read after IME composition ends; after liveRevealAfter
+     misses the word is revealed and counted as failed
+========================= */
+const LETTER_RE = /[\p{L}\p{N}]/u;
+
+function firstLetterKey(text, opts) {
+  for (const k of normalizeForCompare(text, opts).keys) {
+    if (LETTER_RE.test(k)) return k;
+  }
+  return "";
+}
+
+// "ok" | "accent" | null
+function matchFirstLetter(typed, expected, opts) {
+  if (!typed || !expected) return null;
+  if (typed === expected) return "ok";
+  if (isHangulSyllable(expected)) {
+    const initial = hangulJamo(expected)[0];
+    if (typed === initial) return "ok";
+    if (isHangulSyllable(typed) && hangulJamo(typed)[0] === initial) return "ok";
+    return null;
+  }
+  if (opts?.accentHalfError && stripLatinDiacritics(typed) === stripLatinDiacritics(expected)) return "accent";
+  return null;
+}
+
+function FirstLetterCard({ card, opts, onSubmit, onSkip }) {
+  const revealAfter = Math.max(0, Number(opts?.liveRevealAfter ?? 3));
+  const words = useMemo(() => {
+    return wordsFromNormalized(normalizeForCompare(card.text, opts)).map((w) => {
+      const raw = card.text.slice(w.rawStart, w.rawEnd);
+      return { ...w, raw, letter: firstLetterKey(raw, opts) };
+    }).filter((w) => w.letter); // punctuation-only tokens have nothing to type
+  }, [card.text, opts]);
+  const [input, setInput] = useState("");
+  const [composing, setComposing] = useState(false);
+  const [done, setDone] = useState([]); // [{ mistakes, status: "ok"|"fixed"|"accent"|"revealed" }]
+  const [misses, setMisses] = useState(0); // wrong letters on the current word
+  const [lastWrong, setLastWrong] = useState("");
+  const [result, setResult] = useState(null);
+  const inputRef = useRef(null);
+  const finishedRef = useRef(false);
+
+  useEffect(() => {
+    setInput(""); setDone([]); setMisses(0); setLastWrong(""); setResult(null);
+    finishedRef.current = false;
+  }, [card.id]);
+  useEffect(() => { inputRef.current?.focus(); }, [card.id]);
+
+  // Single feed path: onChange and compositionend only store the text; it is
+  // fed once composition is over (Safari fires input after compositionend too)
+  useEffect(() => {
+    if (!composing && input) feed(input);
+  }, [input, composing]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  function finish(list) {
+    if (finishedRef.current) return;
+    finishedRef.current = true;
+    const credit = list.reduce((n, w) => n + (w.status === "ok" ? 1 : w.status === "fixed" || w.status === "accent" ? 0.5 : 0), 0);
+    const wordMistakes = {};
+    list.forEach((w, i) => { if (w.mistakes) wordMistakes[i] = w.mistakes; });
+    const score = {
+      pct: list.length ? Math.round((credit / list.length) * 1000) / 10 : 100,
+      liveWords: list.length,
+      liveClean: list.filter((w) => w.status === "ok").length,
+      wordMistakes,
+    };
+    const wrongRanges = list.map((w, i) => (w.status === "ok" ? null : [words[i].rawStart, words[i].rawEnd])).filter(Boolean);
+    const res = { score, firstLetters: list, typed: list.map((w) => w.typed || "_").join(""), wrongRanges };
+    setResult(res);
+    onSubmit?.(res);
+  }
+
+  // Feed typed characters one by one against the remaining words
+  function feed(text) {
+    let list = done, miss = misses, wrong = lastWrong;
+    for (const ch of Array.from(text.replace(/\s+/g, ""))) {
+      const target = words[list.length];
+      if (!target) break;
+      const typed = firstLetterKey(ch, opts);
+      if (!typed) continue;
+      const hit = matchFirstLetter(typed, target.letter, opts);
+      if (hit) {
+        list = list.concat({ typed: ch, mistakes: miss, status: hit === "accent" ? "accent" : miss ? "fixed" : "ok" });
+        miss = 0; wrong = "";
+      } else {
+        miss += 1; wrong = ch;
+        if (revealAfter && miss >= revealAfter) {
+          list = list.concat({ mistakes: miss, status: "revealed" });
+          miss = 0; wrong = "";
+        }
+      }
+    }
+    setDone(list); setMisses(miss); setLastWrong(wrong); setInput("");
+    if (list.length >= words.length && list !== done) finish(list);
+  }
+
+  function reveal() {
+    const target = words[done.length];
+    if (!target || result) return;
+    const list = done.concat({ mistakes: misses, status: "revealed" });
+    setDone(list); setMisses(0); setLastWrong("");
+    if (list.length >= words.length) finish(list);
+    inputRef.current?.focus();
+  }
+
+  const idx = done.length;
+
+  return (
+    <div className="space-y-3">
+      <div className="rounded-xl border p-3 bg-gray-50 font-mono leading-7 break-words" onClick={() => inputRef.current?.focus()}>
+        {words.map((w, i) => (
+          <span key={i}>
+            {i < idx ? (
+              <span className={`rounded-sm px-0.5 ${LIVE_WORD_CLASS[done[i].status]}`} title={done[i].mistakes ? `${done[i].mistakes} miss${done[i].mistakes > 1 ? "es" : ""}` : ""}>
+                {w.raw}
+              </span>
+            ) : (
+              <span className={`text-gray-300 ${i === idx && !result ? (misses ? "border-b-2 border-rose-500" : "border-b-2 border-indigo-500") : ""}`}>
+                {"_".repeat(Math.min(Array.from(w.raw).length, 12))}
+              </span>
+            )}{" "}
+          </span>
+        ))}
+      </div>
+
+      {!result ? (
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <input
+            ref={inputRef}
+            className={`w-24 border rounded-lg px-2 py-1 text-base ${misses ? "border-rose-500 bg-rose-50 text-rose-800" : "border-gray-300"}`}
+            value={input}
+            onChange={(e) => setInput(e.target.value)}
+            onCompositionStart={() => setComposing(true)}
+            onCompositionEnd={(e) => { setComposing(false); setInput(e.target.value); }}
+            autoCapitalize="off" autoCorrect="off" spellCheck={false}
+            enterKeyHint="next"
+            placeholder={`word ${Math.min(idx + 1, words.length)}/${words.length}`}
+          />
+          <span className="text-gray-500">
+            Type the first letter of each word
+            {misses > 0 && <> · <span className="text-rose-700">“{lastWrong}” is wrong</span> · misses: {misses}{revealAfter ? `/${revealAfter}` : ""}</>}
+          </span>
+          <span className="ml-auto" />
+          <button className="px-3 py-2 rounded-xl bg-gray-200" onClick={reveal}>Reveal word</button>
+          <button className="px-3 py-2 rounded-xl bg-gray-200" onClick={onSkip}>Skip</button>
+        </div>
+      ) : (
+        <div className="rounded-xl border p-3 bg-white text-xs text-gray-600 space-y-1">
+          <div>
+            Clean words {result.score.liveClean}/{result.score.liveWords} · score <b>{result.score.pct}%</b>
+            {" "}(fixed after misses or accent slip = ½, revealed = 0)
+          </div>
+          <div>Green = first try, Amber = fixed after misses, Light amber = accent slip, Grey = revealed.</div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/* =========================
+   Cloze mode: fill in blanked words
+   - Blank density grows with the card's slow bucket, from minPct at the
+     first ladder step to maxPct at the top one
+   - pattern: "random" (seeded per card and day), "nth" (the same number
+     of blanks, evenly spaced) or "content" (skip short function words);
+     there is always at least one blank
+   - Each blank is checked with diffCharsLCS, so the Writing comparison
+     options apply and near misses get partial credit
+========================= */
+const CLOZE_PATTERNS = ["random", "nth", "content"];
+const DEFAULT_CLOZE = { pattern: "random", minPct: 20, maxPct: 80 };
+const CLOZE_WORD_RE = /[\p{L}\p{N}][\p{L}\p{N}\p{M}'’-]*/gu;
+// Function words never worth blanking on their own (pt / en / ko)
+const CLOZE_STOPWORDS = new Set([
+  "a", "o", "as", "os", "um", "uma", "uns", "umas", "de", "do", "da", "dos", "das", "em", "no", "na", "nos", "nas",
+  "e", "é", "ou", "que", "se", "por", "para", "pelo", "pela", "pelos", "pelas", "com", "ao", "aos", "à", "às",
+  "não", "mas", "como", "lhe", "lhes", "me", "te", "vos", "vós", "seu", "sua", "seus", "suas",
+  "the", "an", "and", "or", "of", "to", "in", "on", "at", "by", "for", "with", "as", "is", "be", "was", "that",
+  "it", "his", "her", "he", "she", "we", "you", "they", "not", "but", "so", "this",
+  "그", "이", "저", "그리고", "그러나", "또", "및",
+]);
+
+function coerceCloze(c) {
+  const base = { ...DEFAULT_CLOZE, ...(c && typeof c === "object" ? c : {}) };
+  const pct = (v, d) => (Number.isFinite(Number(v)) ? Math.min(100, Math.max(0, Number(v))) : d);
+  const minPct = pct(base.minPct, DEFAULT_CLOZE.minPct);
+  return {
+    pattern: CLOZE_PATTERNS.includes(base.pattern) ? base.pattern : DEFAULT_CLOZE.pattern,
+    minPct,
+    maxPct: Math.max(minPct, pct(base.maxPct, DEFAULT_CLOZE.maxPct)),
+  };
+}
+
+// % of words to blank for a bucket on `ladder`
+function clozeDensity(bucket, ladder, cloze) {
+  const steps = ladderBuckets(ladder || STANDARD_LADDER);
+  const idx = Math.max(0, steps.indexOf(nearestBucket(bucket || "0D", ladder || STANDARD_LADDER)));
+  const frac = steps.length > 1 ? idx / (steps.length - 1) : 0;
+  return Math.round(cloze.minPct + (cloze.maxPct - cloze.minPct) * frac);
+}
+
+// -> [{ text, start, end, blank }] covering every word of `text`
+function clozeTokens(text, pct, pattern, seed) {
+  const words = Array.from(String(text || "").matchAll(CLOZE_WORD_RE), (m) => ({ text: m[0], start: m.index, end: m.index + m[0].length, blank: false }));
+  if (!words.length || pct <= 0) return words;
+  const rand = seededRandom(seed);
+  const want = Math.min(words.length, Math.max(1, Math.round((words.length * pct) / 100)));
+  let pool = words.map((_, i) => i);
+  if (pattern === "nth") {
+    // exactly `want` blanks, evenly spaced from a seeded offset
+    const step = words.length / want;
+    const offset = rand() * step;
+    for (let k = 0; k < want; k++) words[Math.floor(offset + k * step)].blank = true;
+    return words;
+  }
+  if (pattern === "content") {
+    const content = pool.filter((i) => !CLOZE_STOPWORDS.has(words[i].text.toLocaleLowerCase()) && Array.from(words[i].text).length > 1);
+    if (content.length) pool = content;
+  }
+  for (let i = pool.length - 1; i > 0; i--) {
+    const j = Math.floor(rand() * (i + 1));
+    [pool[i], pool[j]] = [pool[j], pool[i]];
+  }
+  pool.slice(0, want).forEach((i) => { words[i].blank = true; });
+  return words;
+}
+
+function ClozeCard({ card, opts, pct, pattern, onSubmit, onSkip }) {
+  const tokens = useMemo(() => clozeTokens(card.text, pct, pattern, `${card.id}:${todayKey()}`), [card.id, card.text, pct, pattern]);
+  const blanks = tokens.map((t, i) => (t.blank ? i : -1)).filter((i) => i >= 0);
+  const [answers, setAnswers] = useState({});
+  const [result, setResult] = useState(null);
+  const firstRef = useRef(null);
+
+  useEffect(() => { setAnswers({}); setResult(null); }, [card.id]);
+  useEffect(() => { firstRef.current?.focus(); }, [card.id]);
+
+  function submit() {
+    if (result) return;
+    const checks = {};
+    const wordMistakes = {};
+    let credit = 0;
+    for (const i of blanks) {
+      const typed = answers[i] || "";
+      const p = typed.trim() ? diffCharsLCS(typed, tokens[i].text, opts).score.pct : 0;
+      checks[i] = { typed, pct: p };
+      credit += p / 100;
+      if (p < 100) wordMistakes[i] = 1;
+    }
+    const score = {
+      pct: blanks.length ? Math.round((credit / blanks.length) * 1000) / 10 : 100,
+      blanks: blanks.length,
+      blanksCorrect: blanks.filter((i) => checks[i].pct >= 100).length,
+      density: pct,
+      wordMistakes,
+    };
+    const res = {
+      score, checks,
+      typed: blanks.map((i) => checks[i].typed.trim()).join(" | "),
+      wrongRanges: blanks.filter((i) => checks[i].pct < 100).map((i) => [tokens[i].start, tokens[i].end]),
+    };
+    setResult(res);
+    onSubmit?.(res);
+  }
+
+  function onKeyDown(e) {
+    if (e.isComposing || e.nativeEvent?.isComposing) return;
+    if (e.key === "Enter") { e.preventDefault(); submit(); }
+  }
+
+  const parts = [];
+  let pos = 0;
+  tokens.forEach((t, i) => {
+    if (pos < t.start) parts.push(<span key={`g${i}`}>{card.text.slice(pos, t.start)}</span>);
+    pos = t.end;
+    if (!t.blank) { parts.push(<span key={i}>{t.text}</span>); return; }
+    if (!result) {
+      parts.push(
+        <input
+          key={i}
+          ref={i === blanks[0] ? firstRef : null}
+          className="inline-block border-b-2 border-indigo-400 bg-indigo-50 rounded px-1 mx-0.5 text-base"
+          style={{ width: `${Math.max(3, Array.from(t.text).length + 1)}ch` }}
+          value={answers[i] || ""}
+          onChange={(e) => setAnswers((prev) => ({ ...prev, [i]: e.target.value }))}
+          onKeyDown={onKeyDown}
+          autoCapitalize="off" autoCorrect="off" spellCheck={false}
+          enterKeyHint="done"
+        />
+      );
+      return;
+    }
+    const c = result.checks[i];
+    const cls = c.pct >= 100 ? "bg-emerald-200 text-emerald-900" : c.pct >= 50 ? "bg-amber-200 text-amber-900" : "bg-rose-200 text-rose-900";
+    parts.push(
+      <span key={i} className={`rounded-sm px-0.5 ${cls}`} title={`${c.pct}%`}>
+        {c.pct >= 100 ? c.typed.trim() : <>{c.typed.trim() && <s className="mr-1 opacity-70">{c.typed.trim()}</s>}{t.text}</>}
+      </span>
+    );
+  });
+  if (pos < card.text.length) parts.push(<span key="tail">{card.text.slice(pos)}</span>);
+
+  return (
+    <div className="space-y-3">
+      <div className="rounded-xl border p-3 bg-gray-50 font-mono leading-8 whitespace-pre-wrap break-words">{parts}</div>
+      {!result ? (
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <span className="text-gray-500">{blanks.length} blank{blanks.length === 1 ? "" : "s"} · {pct}% density · Tab = next, Enter = check</span>
+          <span className="ml-auto" />
+          <button className="px-3 py-2 rounded-xl bg-gray-200" onClick={onSkip}>Skip</button>
+          <button className="px-3 py-2 rounded-xl bg-indigo-600 text-white" onClick={submit}>Submit</button>
+        </div>
+      ) : (
+        <div className="rounded-xl border p-3 bg-white text-xs text-gray-600 space-y-1">
+          <div>Blanks right {result.score.blanksCorrect}/{result.score.blanks} · score <b>{result.score.pct}%</b> (near misses get partial credit)</div>
+          <div>Green = right, Amber = close, Red = wrong (correct word shown).</div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/* =========================
+   Reference recall: show the verse, answer with book chapter:verse
+   Typed answers go through parseScriptureRef, so "Fp 2:5",
+   "Filipenses 2.5" and "빌 2:5" are all the same answer; the pickers
+   just fill the text box. Grades the card's own `ref` schedule.
+========================= */
+function ReferenceCard({ card, snippetWords, onSubmit, onSkip }) {
+  const [answer, setAnswer] = useState("");
+  const [composing, setComposing] = useState(false);
+  const [whole, setWhole] = useState(false);
+  const [pick, setPick] = useState({ book: "", chapter: "", verse: "" });
+  const [result, setResult] = useState(null);
+  const inputRef = useRef(null);
+
+  useEffect(() => {
+    setAnswer(""); setWhole(false); setPick({ book: "", chapter: "", verse: "" }); setResult(null);
+    inputRef.current?.focus();
+  }, [card.id]);
+
+  const words = String(card.text || "").split(/\s+/);
+  const short = snippetWords > 0 && words.length > snippetWords;
+  const shown = short && !whole ? words.slice(0, snippetWords).join(" ") + " …" : card.text;
+
+  function updatePick(k, v) {
+    const next = { ...pick, [k]: v };
+    setPick(next);
+    const b = BOOK_CATALOG.find((x) => x.id === next.book);
+    setAnswer([b ? b.names.pt : "", next.chapter ? `${next.chapter}${next.verse ? `:${next.verse}` : ""}` : ""].filter(Boolean).join(" "));
+  }
+
+  function submit() {
+    if (composing || result || !answer.trim()) return;
+    const res = scoreRefAnswer(answer, card);
+    setResult(res);
+    onSubmit?.({ score: { pct: res.pct, bookOk: res.bookOk, chapterOk: res.chapterOk, verseOk: res.verseOk } });
+  }
+
+  function onKeyDown(e) {
+    if (composing || e.isComposing || e.nativeEvent?.isComposing) return;
+    if (e.key === "Enter") { e.preventDefault(); submit(); }
+  }
+
+  const expectedBook = BOOK_CATALOG.find((b) => b.id === result?.expected.bookId);
+  const mark = (ok) => (ok ? "text-emerald-700" : "text-rose-700");
+
+  return (
+    <div className="space-y-3">
+      <div className="rounded-xl border p-4 bg-gray-50">
+        <div className="text-sm whitespace-pre-wrap">{shown}</div>
+        {short && !result && (
+          <button className="mt-1 text-xs underline text-indigo-600" onClick={() => setWhole((w) => !w)}>
+            {whole ? "Show less" : "Show whole verse"}
+          </button>
+        )}
+      </div>
+
+      {!result ? (
+        <div className="space-y-2 text-sm">
+          <input
+            ref={inputRef}
+            className="w-full border rounded-xl p-2 text-base"
+            value={answer}
+            onChange={(e) => setAnswer(e.target.value)}
+            onCompositionStart={() => setComposing(true)}
+            onCompositionEnd={() => setComposing(false)}
+            onKeyDown={onKeyDown}
+            autoCapitalize="off" autoCorrect="off" spellCheck={false}
+            enterKeyHint="done"
+            placeholder="Where is it? e.g. Fp 2:5 · Filipenses 2.5 · 빌 2:5"
+          />
+          <div className="flex flex-wrap items-center gap-2">
+            <span className="text-gray-500">or pick:</span>
+            <select className="border rounded-xl p-1" value={pick.book} onChange={(e) => updatePick("book", e.target.value)}>
+              <option value="">Book…</option>
+              {BOOK_CATALOG.map((b) => <option key={b.id} value={b.id}>{b.names.pt} · {b.names.ko}</option>)}
+            </select>
+            <input className="w-16 border rounded-xl p-1" type="number" min={1} placeholder="ch" value={pick.chapter} onChange={(e) => updatePick("chapter", e.target.value)} />
+            <input className="w-16 border rounded-xl p-1" type="number" min={1} placeholder="v" value={pick.verse} onChange={(e) => updatePick("verse", e.target.value)} />
+            <span className="ml-auto" />
+            <button className="px-3 py-2 rounded-xl bg-gray-200" onClick={onSkip}>Skip</button>
+            <button className="px-3 py-2 rounded-xl bg-indigo-600 text-white" onClick={submit}>Submit</button>
+          </div>
+        </div>
+      ) : (
+        <div className="rounded-xl border p-3 bg-white text-sm space-y-1">
+          <div>
+            Answer: <b>{answer}</b> · actual: <b>{expectedBook && !result.expected.book ? `${expectedBook.names.pt} ${card.ref}` : card.ref}</b>
+          </div>
+          <div className="text-xs">
+            <span className={mark(result.bookOk)}>book {result.bookOk ? "✓" : "✗"}</span>{" · "}
+            <span className={mark(result.chapterOk)}>chapter {result.chapterOk ? "✓" : "✗"}</span>{" · "}
+            <span className={mark(result.verseOk)}>verse {result.verseOk ? "✓" : "✗"}</span>
+            {" · "}score <b>{result.pct}%</b> (book 20 + chapter 30 + verse 50)
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/* =========================
+   Scramble mode: put shuffled tiles back in order
+   Tiles shrink as the slow bucket grows: phrases of ~4 words at 0D, 3 at
+   1D, 2 from 3D, single words from 14D. A phrase also ends at a word
+   with trailing punctuation. Tapping (or dropping) a tile places it only
+   if it is the next one; otherwise it counts as a mistake on that spot,
+   and after liveRevealAfter mistakes the right tile is placed for you.
+========================= */
+function scrambleChunkSize(bucket) {
+  const d = bucketDays(bucket);
+  return d >= 14 ? 1 : d >= 3 ? 2 : d >= 1 ? 3 : 4;
+}
+
+// -> [{ id, text, start, end }] in verse order
+function scrambleTiles(text, size) {
+  const tiles = [];
+  let cur = null;
+  for (const w of verseWords(text)) {
+    if (!cur) { cur = { id: tiles.length, text: w.text, start: w.start, end: w.end, n: 1 }; tiles.push(cur); }
+    else { cur.text += " " + w.text; cur.end = w.end; cur.n++; }
+    if (cur.n >= size || (cur.n >= Math.ceil(size / 2) && /[,;:.!?]$/.test(w.text))) cur = null;
+  }
+  return tiles.map(({ n, ...t }) => t);
+}
+
+function ScrambleCard({ card, bucket, revealAfter = 3, onSubmit, onSkip }) {
+  const size = scrambleChunkSize(bucket);
+  const tiles = useMemo(() => scrambleTiles(card.text, size), [card.text, size]);
+  const [pool, setPool] = useState([]);
+  const [placed, setPlaced] = useState([]); // [{ tile, mistakes, revealed }]
+  const [misses, setMisses] = useState(0);  // mistakes on the next spot
+  const [flash, setFlash] = useState(null); // tile id tapped wrongly
+  const [result, setResult] = useState(null);
+
+  useEffect(() => {
+    let order = shuffleInPlace(tiles.slice());
+    if (order.length > 1 && order.every((t, i) => t.id === i)) order = shuffleInPlace(order);
+    setPool(order); setPlaced([]); setMisses(0); setFlash(null); setResult(null);
+  }, [card.id, tiles]);
+
+  function finish(list) {
+    const credit = list.reduce((n, p) => n + (p.revealed ? 0 : p.mistakes ? 0.5 : 1), 0);
+    const wordMistakes = {};
+    list.forEach((p, i) => { if (p.mistakes) wordMistakes[i] = p.mistakes; });
+    const score = {
+      pct: list.length ? Math.round((credit / list.length) * 1000) / 10 : 100,
+      tiles: list.length,
+      mistakes: list.reduce((n, p) => n + p.mistakes, 0),
+      wordMistakes,
+    };
+    const res = {
+      score,
+      typed: list.map((p) => (p.revealed ? "_" : p.tile.text)).join(" / "),
+      wrongRanges: list.filter((p) => p.mistakes).map((p) => [p.tile.start, p.tile.end]),
+    };
+    setResult(res);
+    onSubmit?.(res);
+  }
+
+  function place(entry) {
+    const list = placed.concat(entry);
+    setPlaced(list);
+    setPool((prev) => prev.filter((t) => t.id !== entry.tile.id));
+    setMisses(0); setFlash(null);
+    if (list.length >= tiles.length) finish(list);
+  }
+
+  function choose(tile) {
+    if (result) return;
+    const want = tiles[placed.length];
+    if (!want) return;
+    if (tile.text === want.text) { place({ tile, mistakes: misses, revealed: false }); return; }
+    const n = misses + 1;
+    if (revealAfter && n >= revealAfter) {
+      place({ tile: pool.find((t) => t.text === want.text) || want, mistakes: n, revealed: true });
+      return;
+    }
+    setMisses(n); setFlash(tile.id);
+  }
+
+  function onDrop(e) {
+    e.preventDefault();
+    const id = Number(e.dataTransfer.getData("text/plain"));
+    const tile = pool.find((t) => t.id === id);
+    if (tile) choose(tile);
+  }
+
+  return (
+    <div className="space-y-3">
+      <div
+        className="rounded-xl border p-3 bg-gray-50 min-h-[3rem] leading-8"
+        onDragOver={(e) => e.preventDefault()}
+        onDrop={onDrop}
+      >
+        {placed.length === 0 && !result && <span className="text-gray-400 text-sm">Tap or drag the tiles here in order…</span>}
+        {placed.map((p, i) => (
+          <span key={i} className={`inline-block mr-1 mb-1 px-2 rounded-lg ${LIVE_WORD_CLASS[p.revealed ? "revealed" : p.mistakes ? "fixed" : "ok"]}`}
+            title={p.mistakes ? `${p.mistakes} mistake${p.mistakes > 1 ? "s" : ""}` : ""}>
+            {p.tile.text}
+          </span>
+        ))}
+      </div>
+
+      {!result ? (
+        <>
+          <div className="flex flex-wrap gap-2">
+            {pool.map((t) => (
+              <button
+                key={t.id}
+                draggable
+                onDragStart={(e) => e.dataTransfer.setData("text/plain", String(t.id))}
+                onClick={() => choose(t)}
+                className={`px-3 py-2 rounded-xl border text-base ${flash === t.id ? "border-rose-500 bg-rose-50 text-rose-800" : "bg-white"}`}
+              >
+                {t.text}
+              </button>
+            ))}
+          </div>
+          <div className="flex flex-wrap items-center gap-2 text-sm">
+            <span className="text-gray-500">
+              {tiles.length} tiles ({size === 1 ? "words" : `phrases of ≤${size} words`})
+              {misses > 0 && <> · mistakes on this spot: {misses}{revealAfter ? `/${revealAfter}` : ""}</>}
+            </span>
+            <span className="ml-auto" />
+            <button className="px-3 py-2 rounded-xl bg-gray-200" onClick={onSkip}>Skip</button>
+          </div>
+        </>
+      ) : (
+        <div className="rounded-xl border p-3 bg-white text-xs text-gray-600 space-y-1">
+          <div>Mistakes {result.score.mistakes} · score <b>{result.score.pct}%</b> (tile placed after mistakes = ½, auto-placed = 0)</div>
+          <div>Green = first try, Amber = after mistakes, Grey = placed for you.</div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/* =========================
+   Transition cards: the seam between verse N and N+1 of a pack
+   Derived from pack `order` on every render, so imports, reorders and
+   deletes regenerate them; only their schedules are stored (`seams`,
+   keyed by card id). The id hashes the two verse ids, so a seam that
+   survives a reorder keeps its schedule and a new neighbour starts at 0D.
+   Graded on their own "seam" schedule, which shares the fast daily goal.
+========================= */
+const DEFAULT_TRANSITIONS = { words: 4, inStats: false };
+
+function coerceTransitions(t) {
+  const base = { ...DEFAULT_TRANSITIONS, ...(t && typeof t === "object" ? t : {}) };
+  const words = Math.round(Number(base.words));
+  return { words: Number.isFinite(words) && words > 0 ? Math.min(words, 12) : DEFAULT_TRANSITIONS.words, inStats: !!base.inStats };
+}
+
+function isTransitionCard(card) {
+  return card?.kind === "transition";
+}
+
+function transitionCardId(from, to) {
+  return `seam-${hashString(`${from.id}|${to.id}`)}`;
+}
+
+// -> [{ id, kind, pack, order, fromId, toId, ref, prompt, text, srs: { seam } }] in pack order
+function buildTransitionCards(cards, seams, words = DEFAULT_TRANSITIONS.words, refDisplay = "original") {
+  const byPack = new Map();
+  for (const c of cards) {
+    if (!Number.isFinite(c.order)) continue;
+    if (!byPack.has(c.pack)) byPack.set(c.pack, []);
+    byPack.get(c.pack).push(c);
+  }
+  const out = [];
+  for (const [pack, arr] of byPack.entries()) {
+    arr.sort((a, b) => a.order - b.order);
+    for (let i = 0; i + 1 < arr.length; i++) {
+      const from = arr[i], to = arr[i + 1];
+      const id = transitionCardId(from, to);
+      const tail = String(from.text || "").split(/\s+/).filter(Boolean);
+      const head = String(to.text || "").split(/\s+/).filter(Boolean);
+      out.push({
+        id,
+        kind: "transition",
+        pack,
+        order: from.order,
+        fromId: from.id,
+        toId: to.id,
+        ref: `${displayRef(from, refDisplay)} → ${displayRef(to, refDisplay)}`,
+        prompt: (tail.length > words ? "… " : "") + tail.slice(-words).join(" "),
+        text: head.slice(0, words).join(" ") + (head.length > words ? " …" : ""),
+        srs: { seam: seams?.[id] || makeInitialSrs().slow },
+      });
+    }
+  }
+  return out;
+}
+
+function TransitionFront({ card }) {
+  const [shown, setShown] = useState(false);
+  return (
+    <div className="space-y-3">
+      <div className="rounded-xl border p-4 bg-gray-50">
+        <div className="text-xs text-gray-500">end of the verse</div>
+        <div className="text-xl">{card.prompt}</div>
+      </div>
+      {shown ? (
+        <div className="rounded-xl border p-4 bg-emerald-50">
+          <div className="text-xs text-gray-500">next verse starts</div>
+          <div className="text-xl">{card.text}</div>
+        </div>
+      ) : (
+        <button className="px-3 py-2 rounded-xl bg-gray-200" onClick={() => setShown(true)}>Show next words</button>
+      )}
+    </div>
+  );
+}
+
+/* =========================
+   "What comes next": pick the continuation of a fragment
+   The fragment is the first showFirstNWords words; the answer is the next
+   few words. Distractors are the same slice of other verses in the pack,
+   nearest `order` first, then any pack. Correct answers grade the fast
+   schedule by speed (≤ fastSec Easy, ≤ slowSec Good, else Hard); a wrong
+   pick is Again.
+========================= */
+const DEFAULT_NEXT_CHOICE = { fastSec: 4, slowSec: 10 };
+const NEXT_CHOICE_WORDS = 6;
+
+function coerceNextChoice(c) {
+  const base = { ...DEFAULT_NEXT_CHOICE, ...(c && typeof c === "object" ? c : {}) };
+  const sec = (v, d) => (Number.isFinite(Number(v)) && Number(v) > 0 ? Number(v) : d);
+  const fastSec = sec(base.fastSec, DEFAULT_NEXT_CHOICE.fastSec);
+  return { fastSec, slowSec: Math.max(fastSec, sec(base.slowSec, DEFAULT_NEXT_CHOICE.slowSec)) };
+}
+
+// -> { fragment, answer, options: [text] } (options shuffled, answer among them)
+function nextChoiceQuestion(card, cards, fragmentWords) {
+  const words = String(card.text || "").split(/\s+/).filter(Boolean);
+  const n = Math.max(0, Math.min(fragmentWords, words.length - 2));
+  const len = Math.min(NEXT_CHOICE_WORDS, words.length - n);
+  const answer = words.slice(n, n + len).join(" ");
+  const key = (s) => s.toLocaleLowerCase().replace(/[^\p{L}\p{N}\s]/gu, "").trim();
+  const seen = new Set([key(answer)]);
+  const others = cards
+    .filter((c) => c.id !== card.id && c.text)
+    .sort((a, b) => {
+      const pa = a.pack === card.pack ? 0 : 1, pb = b.pack === card.pack ? 0 : 1;
+      if (pa !== pb) return pa - pb;
+      const da = Math.abs((a.order ?? 1e9) - (card.order ?? 0)), db = Math.abs((b.order ?? 1e9) - (card.order ?? 0));
+      return da - db;
+    });
+  const distractors = [];
+  for (const c of others) {
+    if (distractors.length >= 3) break;
+    const w = String(c.text).split(/\s+/).filter(Boolean);
+    const from = w.length >= n + len ? n : Math.max(0, w.length - len);
+    const text = w.slice(from, from + len).join(" ");
+    if (!text || seen.has(key(text))) continue;
+    seen.add(key(text));
+    distractors.push(text);
+  }
+  return { fragment: words.slice(0, n).join(" "), answer, options: shuffleInPlace([answer, ...distractors]) };
+}
+
+// 0 = Again … 3 = Easy
+function nextChoiceQuality(correct, ms, cfg) {
+  if (!correct) return 0;
+  const sec = ms / 1000;
+  return sec <= cfg.fastSec ? 3 : sec <= cfg.slowSec ? 2 : 1;
+}
+
+function NextChoiceCard({ card, cards, fragmentWords, cfg, onAnswer, onSkip }) {
+  const q = useMemo(() => nextChoiceQuestion(card, cards, fragmentWords), [card.id]); // eslint-disable-line react-hooks/exhaustive-deps
+  const startRef = useRef(now());
+  const [picked, setPicked] = useState(null);
+  const [ms, setMs] = useState(0);
+
+  useEffect(() => { startRef.current = now(); setPicked(null); setMs(0); }, [card.id]);
+
+  function choose(i) {
+    if (picked != null) return;
+    const elapsed = now() - startRef.current;
+    const correct = q.options[i] === q.answer;
+    setPicked(i); setMs(elapsed);
+    onAnswer?.({ score: { pct: correct ? 100 : 0, correct, ms: elapsed, quality: nextChoiceQuality(correct, elapsed, cfg) } });
+  }
+
+  useEffect(() => {
+    if (picked != null) return undefined;
+    function onKey(e) {
+      const tag = (e.target && e.target.tagName) ? e.target.tagName.toLowerCase() : "";
+      if (tag === "input" || tag === "textarea" || tag === "select" || e.target.isContentEditable) return;
+      const i = Number(e.key) - 1;
+      if (i >= 0 && i < q.options.length) { e.preventDefault(); choose(i); }
+    }
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  });
+
+  return (
+    <div className="space-y-3">
+      <div className="rounded-xl border p-4 bg-gray-50 text-base">
+        {q.fragment ? <>{q.fragment} <span className="text-gray-400">…</span></> : <span className="text-gray-400">How does it start?</span>}
+      </div>
+      <div className="grid gap-2">
+        {q.options.map((opt, i) => {
+          const cls = picked == null
+            ? "bg-white hover:bg-indigo-50"
+            : opt === q.answer ? "bg-emerald-100 border-emerald-500" : i === picked ? "bg-rose-100 border-rose-500" : "bg-white opacity-60";
+          return (
+            <button key={i} className={`text-left px-3 py-2 rounded-xl border ${cls}`} onClick={() => choose(i)} disabled={picked != null}>
+              <span className="text-xs text-gray-400 mr-2">{i + 1}</span>… {opt} …
+            </button>
+          );
+        })}
+      </div>
+      {picked == null ? (
+        <div className="flex items-center gap-2 text-sm">
+          <span className="text-gray-500">Keys 1–{q.options.length} pick · answer within {cfg.fastSec}s for Easy, {cfg.slowSec}s for Good</span>
+          <span className="ml-auto" />
+          <button className="px-3 py-2 rounded-xl bg-gray-200" onClick={onSkip}>Skip</button>
+        </div>
+      ) : (
+        <div className="text-xs text-gray-600">
+          {q.options[picked] === q.answer ? "Right" : "Wrong"} in {(ms / 1000).toFixed(1)}s.
+          {q.options[picked] === q.answer ? " Grading automatically…" : " Grading Again automatically…"}
+          <div className="mt-1 text-sm text-gray-800 whitespace-pre-wrap">{card.text}</div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/* =========================
+   Passage mode: write a run of consecutive verses
+   Pick a start and end verse (by `order`) in a pack and write the run as
+   one passage (line breaks are optional). The typed text is aligned
+   against the verses joined together and cut at the verse boundaries;
+   the pieces are checked in sequence with diffCharsLCS and the first
+   verse below the Hard threshold stops the check. Every checked verse is
+   graded on its own (suggested grade from its accuracy) on the slow
+   schedule; verses after the stop are left alone.
+========================= */
+
+/* Split typed prose into one raw slice per verse. Typed words are aligned
+   (LCS, as in diffWordsLCS) against the words of the verses joined together;
+   each verse boundary is cut between the last matched word before it and
+   the first matched word after it. Unmatched typed words in that gap are
+   shared in proportion to the unmatched verse words on either side.
+   -> [typedSlice, …] (same length as verses) */
+function splitPassageByVerses(typedRaw, verses, opts = defaultWritingOptions()) {
+  const texts = verses.map((v) => String(v || "").trim());
+  const starts = [];
+  let joined = "";
+  for (const t of texts) { if (joined) joined += " "; starts.push(joined.length); joined += t; }
+
+  // punctuation never moves a boundary, whatever the scoring options say
+  const align = { ...opts, ignorePunct: true };
+  const TW = wordsFromNormalized(normalizeForCompare(typedRaw, align));
+  const GW = wordsFromNormalized(normalizeForCompare(joined, align));
+  const base = (w) => (opts.accentHalfError ? stripLatinDiacritics(w.key) : w.key);
+  const pairs = lcsPairs(TW.map(base), GW.map(base));
+  // first word of each verse: verse k covers joined words [bounds[k], bounds[k+1])
+  const bounds = starts.map((st) => { const j = GW.findIndex((w) => w.rawStart >= st); return j < 0 ? GW.length : j; });
+
+  const cuts = [0];
+  let p = 0;
+  for (let k = 1; k < texts.length; k++) {
+    while (p < pairs.length && pairs[p][1] < bounds[k]) p++;
+    const [prevI, prevJ] = p > 0 ? pairs[p - 1] : [-1, -1];
+    const [nextI, nextJ] = p < pairs.length ? pairs[p] : [TW.length, GW.length];
+    const lo = Math.max(prevI + 1, cuts[k - 1]), hi = Math.max(lo, nextI);
+    const tail = bounds[k] - prevJ - 1, head = nextJ - bounds[k];
+    cuts.push(tail + head > 0 ? lo + Math.round(((hi - lo) * tail) / (tail + head)) : lo);
+  }
+
+  const rawAt = (i) => (i < TW.length ? TW[i].rawStart : typedRaw.length);
+  return texts.map((_, k) => typedRaw.slice(k === 0 ? 0 : rawAt(cuts[k]), k + 1 < texts.length ? rawAt(cuts[k + 1]) : typedRaw.length));
+}
+
+function PassageCard({ cards, packs, defaultPack, opts, refDisplay, suggest, onApply }) {
+  const packList = packs.filter((p) => p !== "ALL");
+  const [pack, setPack] = useState(defaultPack && defaultPack !== "ALL" ? defaultPack : packList[0] || "");
+  const packCards = useMemo(
+    () => cards.filter((c) => c.pack === pack).sort((a, b) => (a.order ?? Number.POSITIVE_INFINITY) - (b.order ?? Number.POSITIVE_INFINITY)),
+    [cards, pack]
+  );
+  const [startIdx, setStartIdx] = useState(0);
+  const [endIdx, setEndIdx] = useState(2);
+  const [text, setText] = useState("");
+  const [result, setResult] = useState(null); // [{ card, pct, pass, runs, label }]
+
+  useEffect(() => { setStartIdx(0); setEndIdx(Math.min(2, Math.max(0, packCards.length - 1))); setResult(null); }, [pack]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const lo = Math.min(startIdx, endIdx), hi = Math.max(startIdx, endIdx);
+  const run = packCards.slice(lo, hi + 1);
+
+  function check() {
+    const parts = splitPassageByVerses(text, run.map((c) => c.text), opts);
+    const out = [];
+    for (let i = 0; i < run.length; i++) {
+      const diff = diffCharsLCS(parts[i], run[i].text, opts);
+      const pct = diff.score.pct;
+      const pass = writingQuality(pct, opts) > 0;
+      out.push({ card: run[i], pct, pass, runs: diff.runs, label: suggest(run[i], pct) });
+      if (!pass) break;
+    }
+    setResult(out);
+  }
+
+  function apply() {
+    onApply(result.filter((r) => r.label).map(({ card, label, pct }) => ({ card, label, pct })));
+    setResult(null);
+    setText("");
+  }
+
+  if (!packList.length) return <div className="text-center text-gray-500">Import a pack to practise passages.</div>;
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <select className="border rounded-xl p-2" value={pack} onChange={(e) => setPack(e.target.value)}>
+          {packList.map((p) => <option key={p} value={p}>{p}</option>)}
+        </select>
+        from
+        <select className="border rounded-xl p-2" value={startIdx} onChange={(e) => { setStartIdx(Number(e.target.value)); setResult(null); }}>
+          {packCards.map((c, i) => <option key={c.id} value={i}>{displayRef(c, refDisplay)}</option>)}
+        </select>
+        to
+        <select className="border rounded-xl p-2" value={endIdx} onChange={(e) => { setEndIdx(Number(e.target.value)); setResult(null); }}>
+          {packCards.map((c, i) => <option key={c.id} value={i}>{displayRef(c, refDisplay)}</option>)}
+        </select>
+        <span className="text-gray-500">({run.length} verse{run.length === 1 ? "" : "s"})</span>
+      </div>
+
+      {!result ? (
+        <>
+          <textarea
+            className="w-full border rounded-xl p-3 font-mono text-base min-h-[10rem]"
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.isComposing || e.nativeEvent?.isComposing) return;
+              if (e.key === "Enter" && (e.ctrlKey || e.metaKey)) { e.preventDefault(); check(); }
+            }}
+            placeholder={`Write ${run.map((c) => displayRef(c, refDisplay)).join(", ")} as one passage`}
+            autoCapitalize="off" autoCorrect="off" spellCheck={false}
+          />
+          <div className="flex items-center gap-2 text-sm">
+            <span className="text-gray-500">Line breaks optional · Ctrl+Enter = check</span>
+            <span className="ml-auto" />
+            <button className="px-3 py-2 rounded-xl bg-indigo-600 text-white" onClick={check} disabled={!run.length}>Check passage</button>
+          </div>
+        </>
+      ) : (
+        <div className="space-y-2">
+          {result.map((r) => (
+            <div key={r.card.id} className={`rounded-xl border p-3 ${r.pass ? "bg-emerald-50" : "bg-rose-50"}`}>
+              <div className="flex items-center justify-between text-sm">
+                <span className="font-medium">{displayRef(r.card, refDisplay)}</span>
+                <span>{r.pct}% → <b>{r.label || "—"}</b></span>
+              </div>
+              {!r.pass && (
+                <div className="mt-2 font-mono text-sm whitespace-pre-wrap break-words">
+                  {r.runs.map((x, i) => <span key={i} className={x.ok ? "bg-emerald-200" : x.ok === false ? "bg-rose-200" : ""}>{x.text}</span>)}
+                  <div className="mt-1 text-gray-700">{r.card.text}</div>
+                </div>
+              )}
+            </div>
+          ))}
+          {result.length < run.length && (
+            <div className="text-xs text-gray-500">Stopped at {displayRef(result[result.length - 1].card, refDisplay)}; the remaining {run.length - result.length} verse(s) were not graded.</div>
+          )}
+          <div className="flex gap-2">
+            <button className="px-3 py-2 rounded-xl bg-indigo-600 text-white" onClick={apply}>Apply grades</button>
+            <button className="px-3 py-2 rounded-xl bg-gray-200" onClick={() => setResult(null)}>Edit and re-check</button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/* =========================
+   Editable / Packs / Stats (mostly unchanged)
+   - Pack Manager extracted to container for brevity
+========================= */
+function EditableArea({ card, onSave }) {
+  const [editing, setEditing] = useState(false);
+  const [ref, setRef] = useState(card.ref);
+  const [text, setText] = useState(card.text);
+  useEffect(() => { setRef(card.ref); setText(card.text); }, [card.id]);
   if (!editing)
     return (
       <div className="flex justify-end">
@@ -2112,17 +5011,22 @@ function EditableArea({ card, onSave }) {
   );
 }
 
-function PackManager({ cards, onClose, onDelete, onExport }) {
+function PackManager({ cards, onClose, onDelete, onExport, packSchedulers, newPerDay, packNewPerDay, onChangePackNewPerDay, onChangeScheduler, ladders, packLadders, onChangeLadder, onSaveLadder, onDeleteLadder }) {
+  const ladderFor = (pack) => ladders.find((l) => l.id === packLadders?.[pack]) || STANDARD_LADDER;
   const summary = useMemo(() => {
     const m = new Map();
     for (const c of cards) {
       const p = c.pack;
       const b = c?.srs?.slow?.bucket || "0D";
-      const v = m.get(p) || { count: 0, buckets: Object.fromEntries(BUCKETS.map((k) => [k, 0])) };
-      v.count++; v.buckets[b] = (v.buckets[b] || 0) + 1; m.set(p, v);
+      const v = m.get(p) || { count: 0, fresh: 0, buckets: Object.fromEntries(ladderBuckets(ladderFor(p)).map((k) => [k, 0])) };
+      v.count++; v.buckets[b] = (v.buckets[b] || 0) + 1;
+      if (isNewSub(c?.srs?.slow)) v.fresh++;
+      m.set(p, v);
     }
     return Array.from(m.entries()).sort((a, b) => a[0].localeCompare(b[0]));
-  }, [cards]);
+  }, [cards, ladders, packLadders]);
+  const [ladderName, setLadderName] = useState("");
+  const [ladderDays, setLadderDays] = useState("");
   const [checked, setChecked] = useState(() => new Set());
   function toggleAll(state) { if (state) setChecked(new Set(summary.map(([p]) => p))); else setChecked(new Set()); }
   function toggle(p) { setChecked((prev) => { const n = new Set(prev); if (n.has(p)) n.delete(p); else n.add(p); return n; }); }
@@ -2153,56 +5057,178 @@ function PackManager({ cards, onClose, onDelete, onExport }) {
               <input type="checkbox" checked={checked.has(pack)} onChange={() => toggle(pack)} />
               <div className="min-w-0">
                 <div className="font-semibold text-gray-800 truncate" title={pack}>{pack}</div>
-                <div className="text-xs text-gray-600">Cards: {v.count}</div>
-                <div className="text-[11px] text-gray-500">{BUCKETS.map((k) => `${k}:${v.buckets[k] || 0}`).join("  ")}</div>
+                <div className="text-xs text-gray-600">Cards: {v.count} · new: {v.fresh}</div>
+                <div className="text-[11px] text-gray-500">{ladderBuckets(ladderFor(pack)).map((k) => `${k}:${v.buckets[k] || 0}`).join("  ")}</div>
+                <div className="mt-1 flex items-center gap-2 text-xs text-gray-600">
+                  <span>Ladder:</span>
+                  <select
+                    className="border rounded-lg px-1 py-0.5 text-xs"
+                    value={ladderFor(pack).id}
+                    onChange={(e) => onChangeLadder?.(pack, e.target.value)}
+                  >
+                    {ladders.map((l) => (<option key={l.id} value={l.id}>{l.name}</option>))}
+                  </select>
+                </div>
+                <div className="mt-1 flex items-center gap-2 text-xs text-gray-600">
+                  <span>Scheduler:</span>
+                  <select
+                    className="border rounded-lg px-1 py-0.5 text-xs"
+                    value={packSchedulers?.[pack] === "adaptive" ? "adaptive" : "fixed"}
+                    onChange={(e) => onChangeScheduler?.(pack, e.target.value)}
+                  >
+                    <option value="fixed">Fixed buttons (1D…90D)</option>
+                    <option value="adaptive">Adaptive (Again/Hard/Good/Easy)</option>
+                  </select>
+                </div>
+                <div className="mt-1 flex items-center gap-2 text-xs text-gray-600">
+                  <span>New/day:</span>
+                  <input
+                    className="border rounded-lg px-1 py-0.5 text-xs w-16" type="number" min={0}
+                    placeholder={String(newPerDay)}
+                    value={packNewPerDay?.[pack] ?? ""}
+                    onChange={(e) => onChangePackNewPerDay?.(pack, e.target.value === "" ? null : Math.max(0, Number(e.target.value)))}
+                  />
+                  <span className="text-[11px] text-gray-400">blank = global ({newPerDay})</span>
+                </div>
               </div>
             </label>
           ))}
         </div>
+
+        {/* Custom bucket ladders */}
+        <div className="rounded-2xl border p-3 bg-gray-50 space-y-2">
+          <h4 className="font-semibold">Bucket ladders</h4>
+          <div className="grid gap-1 text-xs text-gray-700">
+            {ladders.map((l) => (
+              <div key={l.id} className="flex items-center justify-between gap-2">
+                <span className="truncate"><b>{l.name}</b> · {ladderBuckets(l).join(" / ")}</span>
+                {l.id !== STANDARD_LADDER.id && (
+                  <button className="px-2 py-1 rounded bg-rose-100 text-rose-800 shrink-0"
+                    onClick={() => { if (confirm(`Delete ladder "${l.name}"? Packs using it go back to Standard.`)) onDeleteLadder?.(l.id); }}>
+                    Delete
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+          <div className="flex flex-wrap items-end gap-2 text-sm">
+            <input className="border rounded-xl p-2 flex-1 min-w-[8rem]" placeholder="Name (e.g. Long-term)" value={ladderName} onChange={(e) => setLadderName(e.target.value)} />
+            <input className="border rounded-xl p-2 flex-1 min-w-[8rem]" placeholder="Days, e.g. 1, 3, 7, 30, 90, 180, 365" value={ladderDays} onChange={(e) => setLadderDays(e.target.value)} />
+            <button className="px-3 py-2 rounded-xl bg-gray-900 text-white"
+              onClick={() => {
+                const days = parseLadderDays(ladderDays);
+                if (!days) { alert("Enter at least one interval in days."); return; }
+                onSaveLadder?.({ name: ladderName.trim() || ladderBuckets({ days }).slice(1).join("/"), days });
+                setLadderName(""); setLadderDays("");
+              }}>
+              Add ladder
+            </button>
+          </div>
+          <p className="text-[11px] text-gray-500">0D is always the first step. Up to {MAX_LADDER_STEPS} intervals; keys 1…9 grade in ladder order. Cards on buckets a ladder doesn't have move to the nearest step.</p>
+        </div>
       </div>
     </div>
   );
 }
 
-function Stats({ cards }) {
-  const total = cards.length;
+function BacklogPlanModal({ plan, cards, refDisplay, onApply, onClose }) {
+  const byId = useMemo(() => new Map(cards.map((c) => [c.id, c])), [cards]);
+  const lastOffset = plan.days.length ? plan.days[plan.days.length - 1].offset : 0;
+  return (
+    <div className="fixed inset-0 bg-black/40 z-50 flex items-center justify-center p-4">
+      <div className="max-w-3xl w-full bg-white rounded-2xl shadow-xl p-4 space-y-4">
+        <div className="flex items-center justify-between">
+          <h3 className="text-lg font-semibold">Backlog recovery plan</h3>
+          <button className="px-3 py-2 rounded-xl bg-gray-200" onClick={onClose}>Close</button>
+        </div>
+        <p className="text-sm text-gray-600">
+          {plan.total} overdue {plan.scheduleKey} cards spread over {lastOffset + 1} day{lastOffset ? "s" : ""}.
+          Most overdue (relative to their interval) come first; buckets are kept, only due dates move.
+        </p>
+        <div className="max-h-[50vh] overflow-auto grid gap-2">
+          {plan.days.map((d) => (
+            <div key={d.offset} className="p-2 border rounded-xl bg-gray-50">
+              <div className="text-sm font-semibold">
+                {d.offset === 0 ? "Today" : addDaysKey(todayKey(), d.offset)} · {d.ids.length} card{d.ids.length > 1 ? "s" : ""}
+              </div>
+              <div className="text-[11px] text-gray-500 truncate">
+                {d.ids.slice(0, 8).map((id) => (byId.has(id) ? displayRef(byId.get(id), refDisplay) : id)).join(" · ")}{d.ids.length > 8 ? " …" : ""}
+              </div>
+            </div>
+          ))}
+        </div>
+        <div className="flex gap-2 justify-end">
+          <button className="px-3 py-2 rounded-xl bg-gray-200" onClick={onClose}>Cancel</button>
+          <button className="px-3 py-2 rounded-xl bg-indigo-600 text-white" onClick={onApply}>Apply plan</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// `transitions` is empty unless transition cards are counted in Stats
+function Stats({ cards, transitions = [], ladderFor = () => STANDARD_LADDER }) {
+  const total = cards.length + transitions.length;
   const byPack = useMemo(() => {
     const m = new Map();
-    for (const c of cards) {
-      const key = c.pack;
-      const v = m.get(key) || {
+    const entry = (key) => {
+      const buckets = ladderBuckets(ladderFor(key));
+      return m.get(key) || {
         count: 0,
-        slow: Object.fromEntries(BUCKETS.map((k) => [k, 0])),
-        fast: Object.fromEntries(BUCKETS.map((k) => [k, 0])),
+        seams: 0,
+        buckets,
+        slow: Object.fromEntries(buckets.map((k) => [k, 0])),
+        fast: Object.fromEntries(buckets.map((k) => [k, 0])),
+        seam: Object.fromEntries(buckets.map((k) => [k, 0])),
       };
+    };
+    for (const c of cards) {
+      const key = c.pack;
+      const v = entry(key);
       v.count++;
-      v.slow[c?.srs?.slow?.bucket || "0D"]++;
-      v.fast[c?.srs?.fast?.bucket || "0D"]++;
+      const sb = c?.srs?.slow?.bucket || "0D", fb = c?.srs?.fast?.bucket || "0D";
+      v.slow[sb] = (v.slow[sb] || 0) + 1;
+      v.fast[fb] = (v.fast[fb] || 0) + 1;
       m.set(key, v);
     }
+    for (const c of transitions) {
+      const v = entry(c.pack);
+      v.seams++;
+      const b = c?.srs?.seam?.bucket || "0D";
+      v.seam[b] = (v.seam[b] || 0) + 1;
+      m.set(c.pack, v);
+    }
     return Array.from(m.entries()).sort((a, b) => a[0].localeCompare(b[0]));
-  }, [cards]);
+  }, [cards, transitions, ladderFor]);
+
+  // Chips cover every bucket of every ladder in use, shortest first
+  const allBuckets = useMemo(() => {
+    const set = new Set(byPack.flatMap(([, v]) => v.buckets));
+    const list = set.size ? Array.from(set) : BUCKETS.slice();
+    return list.sort((a, b) => bucketDays(a) - bucketDays(b));
+  }, [byPack]);
 
   const totals = useMemo(() => {
-    const slow = Object.fromEntries(BUCKETS.map((k) => [k, 0]));
-    const fast = Object.fromEntries(BUCKETS.map((k) => [k, 0]));
+    const slow = Object.fromEntries(allBuckets.map((k) => [k, 0]));
+    const fast = Object.fromEntries(allBuckets.map((k) => [k, 0]));
     for (const c of cards) {
-      slow[c?.srs?.slow?.bucket || "0D"]++;
-      fast[c?.srs?.fast?.bucket || "0D"]++;
+      const sb = c?.srs?.slow?.bucket || "0D", fb = c?.srs?.fast?.bucket || "0D";
+      slow[sb] = (slow[sb] || 0) + 1;
+      fast[fb] = (fast[fb] || 0) + 1;
     }
     return { slow, fast };
-  }, [cards]);
+  }, [cards, allBuckets]);
 
   return (
     <div className="text-sm space-y-3">
-      <div> Total cards: <b>{total}</b> </div>
+      <div> Total cards: <b>{total}</b>{transitions.length > 0 && <span className="text-gray-500"> (incl. {transitions.length} transitions)</span>} </div>
       <div className="flex flex-wrap gap-2">
         <span className="px-2 py-1 rounded bg-gray-100 text-xs font-medium">Slow</span>
-        {BUCKETS.map((k) => (<span key={`slow-${k}`} className="px-3 py-1 rounded-full bg-gray-100">{k}: {totals.slow[k]}</span>))}
+        {allBuckets.map((k) => (<span key={`slow-${k}`} className="px-3 py-1 rounded-full bg-gray-100">{k}: {totals.slow[k]}</span>))}
       </div>
       <div className="flex flex-wrap gap-2">
         <span className="px-2 py-1 rounded bg-gray-100 text-xs font-medium">Fast</span>
-        {BUCKETS.map((k) => (<span key={`fast-${k}`} className="px-3 py-1 rounded-full bg-gray-100">{k}: {totals.fast[k]}</span>))}
+        {allBuckets.map((k) => (<span key={`fast-${k}`} className="px-3 py-1 rounded-full bg-gray-100">{k}: {totals.fast[k]}</span>))}
       </div>
       <div className="mt-2">
         <div className="font-medium mb-1">By Pack (slow / fast)</div>
@@ -2210,9 +5236,10 @@ function Stats({ cards }) {
           {byPack.map(([pack, v]) => (
             <div key={pack} className="rounded-xl border p-2 bg-gray-50">
               <div className="font-semibold text-gray-700 truncate" title={pack}>{pack}</div>
-              <div className="text-xs text-gray-600">Cards: {v.count}</div>
-              <div className="text-xs text-gray-600">Slow: {BUCKETS.map((k) => `${k}:${v.slow[k]}`).join("  ")}</div>
-              <div className="text-xs text-gray-600">Fast: {BUCKETS.map((k) => `${k}:${v.fast[k]}`).join("  ")}</div>
+              <div className="text-xs text-gray-600">Cards: {v.count}{v.seams > 0 && ` + ${v.seams} transitions`}</div>
+              <div className="text-xs text-gray-600">Slow: {v.buckets.map((k) => `${k}:${v.slow[k] || 0}`).join("  ")}</div>
+              <div className="text-xs text-gray-600">Fast: {v.buckets.map((k) => `${k}:${v.fast[k] || 0}`).join("  ")}</div>
+              {v.seams > 0 && <div className="text-xs text-gray-600">Seam: {v.buckets.map((k) => `${k}:${v.seam[k] || 0}`).join("  ")}</div>}
             </div>
           ))}
         </div>
@@ -2231,17 +5258,52 @@ function VersesView({
   onStartManual,
   onStartWriting,
   /* NEW */ onDeleteSelected,
+  onClearLeech,
+  coupling,
+  attempts = [],
+  refDisplay,
 }) {
-  // Filter by pack
+  const otherKey = scheduleKey === "slow" ? "fast" : "slow";
+  const [leechOnly, setLeechOnly] = useState(false);
+  const [dupOnly, setDupOnly] = useState(false);
+  const [sortBy, setSortBy] = useState("order"); // "order" (pack order) | "ref" (canonical)
+  const [openAttemptsId, setOpenAttemptsId] = useState(null);
+  const attemptsByCard = useMemo(() => {
+    const map = new Map();
+    for (const a of attempts) {
+      if (!map.has(a.cardId)) map.set(a.cardId, []);
+      map.get(a.cardId).push(a);
+    }
+    return map;
+  }, [attempts]);
+
+  // Cards that share a verse with another card of the same pack ("Fp 2:5" vs "Filipenses 2:5")
+  const dupIds = useMemo(() => {
+    const byKey = new Map();
+    for (const c of cards) {
+      const k = canonicalRefKey(c);
+      if (!k) continue;
+      const kk = `${c.pack}|${k}`;
+      if (!byKey.has(kk)) byKey.set(kk, []);
+      byKey.get(kk).push(c.id);
+    }
+    return new Set(Array.from(byKey.values()).filter((ids) => ids.length > 1).flat());
+  }, [cards]);
+
+  // Filter by pack (and optionally leeches on the viewed schedule / duplicates)
   const list = useMemo(() => {
-    const arr = currentPack && currentPack !== "ALL" ? cards.filter((c) => c.pack === currentPack) : cards.slice();
+    let arr = currentPack && currentPack !== "ALL" ? cards.filter((c) => c.pack === currentPack) : cards.slice();
+    if (leechOnly) arr = arr.filter((c) => c?.srs?.[scheduleKey]?.leech);
+    if (dupOnly) arr = arr.filter((c) => dupIds.has(c.id));
+    const byOrder = (a, b) => (a.order ?? Number.POSITIVE_INFINITY) - (b.order ?? Number.POSITIVE_INFINITY);
     return arr.sort((a, b) => {
       if (a.pack !== b.pack) return a.pack.localeCompare(b.pack);
-      const ao = a.order ?? Number.POSITIVE_INFINITY, bo = b.order ?? Number.POSITIVE_INFINITY;
-      if (ao !== bo) return ao - bo;
-      return String(a.ref).localeCompare(String(b.ref));
+      return sortBy === "ref"
+        ? compareScriptureRefs(a, b) || byOrder(a, b)
+        : byOrder(a, b) || compareScriptureRefs(a, b);
     });
-  }, [cards, currentPack]);
+  }, [cards, currentPack, leechOnly, dupOnly, dupIds, sortBy, scheduleKey]);
+  const leechCount = useMemo(() => cards.filter((c) => c?.srs?.[scheduleKey]?.leech).length, [cards, scheduleKey]);
 
   const [checked, setChecked] = useState(() => new Set());
   const allVisibleIds = list.map((c) => c.id);
@@ -2260,6 +5322,22 @@ function VersesView({
             <select className="border rounded-xl p-2 text-sm" value={scheduleKey} onChange={(e) => onChangeScheduleKey(e.target.value)}>
               <option value="slow">Slow (Review/Writing)</option>
               <option value="fast">Fast (Recognition)</option>
+              <option value="ref">Ref (Reference recall)</option>
+            </select>
+          </div>
+          <label className="flex items-center gap-2 text-sm whitespace-nowrap sm:ml-3">
+            <input type="checkbox" checked={leechOnly} onChange={(e) => setLeechOnly(e.target.checked)} />
+            Leeches ({leechCount})
+          </label>
+          <label className="flex items-center gap-2 text-sm whitespace-nowrap sm:ml-3">
+            <input type="checkbox" checked={dupOnly} onChange={(e) => setDupOnly(e.target.checked)} />
+            Duplicates ({dupIds.size})
+          </label>
+          <div className="flex items-center gap-2 sm:ml-3">
+            <label className="text-sm">Sort:</label>
+            <select className="border rounded-xl p-2 text-sm" value={sortBy} onChange={(e) => setSortBy(e.target.value)}>
+              <option value="order">Pack order</option>
+              <option value="ref">Reference</option>
             </select>
           </div>
           <div className="flex items-center gap-2 sm:ml-3 min-w-0 w-full">
@@ -2272,6 +5350,7 @@ function VersesView({
           </div>
         </div>
       </div>
+      <p className="mt-2 text-[11px] text-gray-500">Schedule coupling: {describeCoupling(coupling)}</p>
 
       <div className="mt-3 flex gap-2 flex-wrap">
         <button className="px-3 py-2 rounded-xl bg-gray-100" onClick={toggleAll}>
@@ -2305,25 +5384,69 @@ function VersesView({
         >
           Delete selected now
         </button>
+        {leechOnly && (
+          <button
+            className={`px-3 py-2 rounded-xl ${checked.size ? "bg-amber-500 text-white" : "bg-gray-200 text-gray-400"}`}
+            disabled={!checked.size}
+            onClick={() => { onClearLeech?.(selectedIdsOrdered, scheduleKey); setChecked(new Set()); }}
+            title="Reset lapses and the leech flag after reworking these verses"
+          >
+            Clear leech flag
+          </button>
+        )}
       </div>
 
       <div className="mt-3 grid gap-2 overflow-x-auto">
-        {list.map((c) => {
+        {list.map((c, i) => {
           const sub = c?.srs?.[scheduleKey];
+          // book + chapter heading whenever it changes (per pack)
+          const group = `${c.pack}|${refGroupLabel(c, refDisplay) ?? ""}`;
+          const prev = list[i - 1];
+          const heading = !prev || group !== `${prev.pack}|${refGroupLabel(prev, refDisplay) ?? ""}`;
           const since = daysSince(sub?.updatedAt);
           const till = daysTill(sub?.nextDue);
           const bucket = sub?.bucket || "0D";
+          const cardAttempts = attemptsByCard.get(c.id) || [];
           return (
-            <label key={c.id} className="flex items-start gap-3 p-3 border rounded-xl bg-gray-50">
-              <input type="checkbox" checked={checked.has(c.id)} onChange={() => toggleOne(c.id)} />
-              <div className="min-w-0">
-                <div className="font-semibold text-gray-800 truncate" title={c.ref}>{c.ref}</div>
-                <div className="text-xs text-gray-600 truncate">{previewText(c.text, 10)}</div>
-                <div className="text-[11px] text-gray-500 mt-1">
-                  {c.pack} · #{c.order ?? "?"} · {bucket} · since: {since ?? "–"}d · till: {till ?? "–"}d
+            <React.Fragment key={c.id}>
+              {heading && (
+                <div className="mt-1 text-xs font-semibold text-gray-500">
+                  {refGroupLabel(c, refDisplay) || "Other"}{currentPack === "ALL" && <span className="font-normal"> · {c.pack}</span>}
                 </div>
-              </div>
-            </label>
+              )}
+              <label className="flex items-start gap-3 p-3 border rounded-xl bg-gray-50">
+                <input type="checkbox" checked={checked.has(c.id)} onChange={() => toggleOne(c.id)} />
+                <div className="min-w-0">
+                  <div className="font-semibold text-gray-800 truncate" title={c.ref}>
+                    {displayRef(c, refDisplay)}
+                    {dupIds.has(c.id) && <span className="ml-1 px-1.5 rounded bg-rose-100 text-rose-900 text-[11px] font-normal">duplicate ref</span>}
+                  </div>
+                  <div className="text-xs text-gray-600 truncate">{previewText(c.text, 10)}</div>
+                  <div className="text-[11px] text-gray-500 mt-1">
+                    {c.pack} · #{c.order ?? "?"} · {bucket} · since: {since ?? "–"}d · till: {till ?? "–"}d
+                    {sub?.lapses ? <> · lapses: {sub.lapses}</> : null}
+                    {sub?.leech && <span className="ml-1 px-1.5 rounded bg-amber-100 text-amber-900">leech</span>}
+                  </div>
+                  <div className="text-[11px] text-gray-400">
+                    {otherKey}: {c?.srs?.[otherKey]?.bucket || "0D"} · till: {daysTill(c?.srs?.[otherKey]?.nextDue) ?? "–"}d
+                    {sub?.coupled && (
+                      <span className="ml-1 px-1.5 rounded bg-sky-100 text-sky-900" title={`Coupling rule applied ${isoDay(sub.coupled.at)}`}>
+                        {sub.coupled.rule === "push" ? `pushed out by ${sub.coupled.from}` : `pulled in by ${sub.coupled.from} lapse`} · {isoDay(sub.coupled.at)}
+                      </span>
+                    )}
+                    {cardAttempts.length > 0 && (
+                      <button
+                        className="ml-2 underline text-indigo-600"
+                        onClick={(e) => { e.preventDefault(); setOpenAttemptsId((id) => (id === c.id ? null : c.id)); }}
+                      >
+                        {openAttemptsId === c.id ? "hide" : "show"} attempts ({cardAttempts.length})
+                      </button>
+                    )}
+                  </div>
+                  {openAttemptsId === c.id && <AttemptHeatmap text={c.text} attempts={cardAttempts} />}
+                </div>
+              </label>
+            </React.Fragment>
           );
         })}
         {list.length === 0 && (
@@ -2334,7 +5457,35 @@ function VersesView({
   );
 }
 
-function GoalHistoryView({ history, capLog, defaultWindowDays = 14 }) {
+// Verse overlaid with how often each word was wrong, plus the latest attempts
+function AttemptHeatmap({ text, attempts }) {
+  const heat = useMemo(() => attemptHeat(text, attempts), [text, attempts]);
+  const shade = (rate) => (rate <= 0 ? "" : rate < 0.25 ? "bg-rose-100" : rate < 0.5 ? "bg-rose-200" : rate < 0.75 ? "bg-rose-300" : "bg-rose-400 text-white");
+  const recent = attempts.slice(-5).reverse();
+  return (
+    <div className="mt-2 space-y-2">
+      <div className="text-sm leading-7 break-words">
+        {heat.words.map((w, i) => (
+          <span key={i}>
+            <span className={`rounded-sm px-0.5 ${shade(w.wrong / heat.total)}`} title={`wrong in ${w.wrong}/${heat.total} attempts`}>{w.text}</span>{" "}
+          </span>
+        ))}
+      </div>
+      <div className="grid gap-0.5 text-[11px] text-gray-500">
+        {recent.map((a) => (
+          <div key={a.id} className="truncate" title={a.typed}>
+            {isoDay(a.ts)} · {a.mode} · <b>{a.pct}%</b>
+            {a.missedHead ? ` · missed head ${a.missedHead}` : ""}
+            {a.missedTail ? ` · missed tail ${a.missedTail}` : ""}
+            {a.typed ? ` · “${previewText(a.typed, 8)}”` : ""}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function GoalHistoryView({ history, capLog, pauses = [], todayKey: dayKeyNow, dayRolloverHour: rolloverHour, defaultWindowDays = 14 }) {
   const [group, setGroup] = React.useState("day");
   const windowSizes = { day: defaultWindowDays, week: 12, month: 12, year: 5 };
 
@@ -2347,7 +5498,7 @@ function GoalHistoryView({ history, capLog, defaultWindowDays = 14 }) {
       map.set(key, cur);
     }
     return map;
-  }, [history]);
+  }, [history, rolloverHour]);
 
   const effectiveCapsForDate = React.useMemo(() => {
     const entries = Object.entries(capLog)
@@ -2366,24 +5517,24 @@ function GoalHistoryView({ history, capLog, defaultWindowDays = 14 }) {
   }, [capLog]);
 
   const rows = React.useMemo(() => {
-    const nowTs = Date.now();
+    const tk = todayKey();
     const out = [];
     const kind = group;
     const N = windowSizes[kind];
 
+    // Period keys are derived from today's (local, rollover-aware) day key
     const periodKeys = [];
-    if (kind === "day") { for (let i = 0; i < N; i++) periodKeys.push(isoDay(new Date(nowTs - i*day))); }
+    if (kind === "day") { for (let i = 0; i < N; i++) periodKeys.push(addDaysKey(tk, -i)); }
     else if (kind === "week") {
-      let d = new Date(); d.setUTCHours(0,0,0,0);
-      let start = new Date(startOfWeekISO(d));
-      for (let i = 0; i < N; i++) periodKeys.push(isoDay(new Date(start.getTime() - i*7*day)));
+      const start = startOfWeekISO(tk);
+      for (let i = 0; i < N; i++) periodKeys.push(addDaysKey(start, -i * 7));
     } else if (kind === "month") {
-      let cur = new Date(); cur.setUTCDate(1); cur.setUTCHours(0,0,0,0);
+      const [y0, m0] = tk.split("-").map(Number);
       for (let i = 0; i < N; i++) {
-        const d = new Date(Date.UTC(cur.getUTCFullYear(), cur.getUTCMonth() - i, 1));
-        periodKeys.push(monthKey(d));
+        const d = new Date(Date.UTC(y0, m0 - 1 - i, 1));
+        periodKeys.push(d.toISOString().slice(0, 7));
       }
-    } else { const y = new Date().getUTCFullYear(); for (let i = 0; i < N; i++) periodKeys.push(String(y - i)); }
+    } else { const y = Number(yearKey(tk)); for (let i = 0; i < N; i++) periodKeys.push(String(y - i)); }
 
     function bucketKeyByGroup(dt) {
       if (kind === "day") return isoDay(dt);
@@ -2403,27 +5554,19 @@ function GoalHistoryView({ history, capLog, defaultWindowDays = 14 }) {
     function* iterateDaysOfPeriod(pKey) {
       if (kind === "day") { yield pKey; return; }
       if (kind === "week") {
-        const start = new Date(pKey + "T00:00:00Z");
-        for (let i = 0; i < 7; i++) yield isoDay(new Date(start.getTime() + i*day));
+        for (let i = 0; i < 7; i++) yield addDaysKey(pKey, i);
         return;
       }
-      if (kind === "month") {
-        const [yy, mm] = pKey.split("-").map(Number);
-        const start = Date.UTC(yy, mm - 1, 1);
-        const next = Date.UTC(yy, mm, 1);
-        for (let t = start; t < next; t += day) yield isoDay(t);
-        return;
-      }
-      const y = Number(pKey);
-      const start = Date.UTC(y, 0, 1), next = Date.UTC(y+1, 0, 1);
-      for (let t = start; t < next; t += day) yield isoDay(t);
+      const first = kind === "month" ? `${pKey}-01` : `${pKey}-01-01`;
+      for (let k = first; k.startsWith(pKey); k = addDaysKey(k, 1)) yield k;
     }
 
     const aggCaps = new Map();
     for (const pKey of periodKeys) {
       let slow = 0, fast = 0;
       for (const dKey of iterateDaysOfPeriod(pKey)) {
-        if (dKey > isoDay(nowTs)) break;
+        if (dKey > tk) break;
+        if (isPausedDay(pauses, dKey)) continue; // paused days carry no goal
         const caps = effectiveCapsForDate(dKey);
         slow += caps.slow || 0; fast += caps.fast || 0;
       }
@@ -2434,11 +5577,11 @@ function GoalHistoryView({ history, capLog, defaultWindowDays = 14 }) {
       const cap = aggCaps.get(pKey) || { slow: 0, fast: 0 };
       const rev = aggReviews.get(pKey) || { slow: 0, fast: 0 };
       const okSlow = rev.slow >= cap.slow, okFast = rev.fast >= cap.fast;
-      const label = (function(){ if (kind === "day") return pKey; if (kind === "week") return `Week of ${pKey}`; if (kind === "month") return pKey; return pKey; })();
+      const label = (function(){ if (kind === "day") return isPausedDay(pauses, pKey) ? `${pKey} (paused)` : pKey; if (kind === "week") return `Week of ${pKey}`; if (kind === "month") return pKey; return pKey; })();
       out.push({ key: pKey, label, cap, rev, okSlow, okFast });
     }
     return out;
-  }, [group, perDayCounts, capLog]);
+  }, [group, perDayCounts, capLog, pauses, dayKeyNow]);
 
   return (
     <section className="rounded-2xl shadow p-4 bg-white">
@@ -2486,12 +5629,15 @@ function GoalHistoryView({ history, capLog, defaultWindowDays = 14 }) {
 /* =========================
    Advanced modal with NEW Writing toggles
 ========================= */
-function AdvancedModal({ sync, onClose, fmtTime, fileInputRef, importTxtFiles, exportJson, importJson, writingOpts, onChangeWritingOpts }) {
+function AdvancedModal({ sync, onClose, fmtTime, fileInputRef, importTxtFiles, exportJson, importJson, writingOpts, onChangeWritingOpts, pauses, onAddPause, onResumePause, onCancelPause, leechThreshold, onChangeLeechThreshold, backlogDays, onChangeBacklogDays, coupling, onChangeCoupling, cloze, onChangeCloze, nextChoice, onChangeNextChoice, transitions, onChangeTransitions, refDisplay, onChangeRefDisplay, syncAttempts, onChangeSyncAttempts, dayRolloverHour, onChangeDayRolloverHour }) {
   const isOffline = typeof navigator !== 'undefined' && !navigator.onLine;
   const isSyncing = !!(sync.pushing || sync.pulling);
   async function syncNow() { try { if (window.pushSRS) await window.pushSRS(); if (window.pullSRS) await window.pullSRS(); } catch (e) {} }
 
   const setOpt = (k, v) => onChangeWritingOpts({ ...writingOpts, [k]: v });
+  const [pauseStart, setPauseStart] = useState(todayKey());
+  const [pauseEnd, setPauseEnd] = useState(addDaysKey(todayKey(), 6));
+  const tk = todayKey();
 
   return (
     <div className="fixed inset-0 bg-black/40 z-50 flex items-center justify-center p-4">
@@ -2539,6 +5685,155 @@ function AdvancedModal({ sync, onClose, fmtTime, fileInputRef, importTxtFiles, e
           </div>
         </div>
 
+        {/* Vacation / pause */}
+        <div className="rounded-2xl border p-4 bg-gray-50 space-y-2">
+          <h4 className="font-semibold">Vacation / pause</h4>
+          <div className="flex flex-wrap items-end gap-2 text-sm">
+            <label className="flex flex-col">From
+              <input className="border rounded-xl p-1" type="date" value={pauseStart} onChange={(e) => setPauseStart(e.target.value)} />
+            </label>
+            <label className="flex flex-col">To
+              <input className="border rounded-xl p-1" type="date" value={pauseEnd} onChange={(e) => setPauseEnd(e.target.value)} />
+            </label>
+            <button className="px-3 py-2 rounded-xl bg-sky-600 text-white" onClick={() => onAddPause(pauseStart, pauseEnd)}>Add pause</button>
+          </div>
+          {(pauses || []).length > 0 && (
+            <div className="grid gap-1 text-xs text-gray-700">
+              {pauses.slice().sort((a, b) => b.start.localeCompare(a.start)).map((p) => (
+                <div key={p.id} className="flex items-center justify-between gap-2">
+                  <span>
+                    {p.start} → {p.end}
+                    {p.resumedOn ? ` · resumed, shifted ${p.shiftDays}d` : p.start <= tk ? " · active" : " · planned"}
+                  </span>
+                  {!p.resumedOn && (p.start <= tk ? (
+                    <button className="px-2 py-1 rounded bg-sky-100" onClick={() => onResumePause(p.id)}>Resume now</button>
+                  ) : (
+                    <button className="px-2 py-1 rounded bg-gray-200" onClick={() => onCancelPause(p.id)}>Cancel</button>
+                  ))}
+                </div>
+              ))}
+            </div>
+          )}
+          <p className="text-[11px] text-gray-500">While paused nothing comes due. On resume all due dates move forward by the paused days, and those days don’t count against your goals.</p>
+        </div>
+
+        {/* Leeches */}
+        <div className="rounded-2xl border p-4 bg-gray-50 space-y-2">
+          <h4 className="font-semibold">Leeches</h4>
+          <label className="flex items-center gap-2 text-sm">
+            Flag a card as a leech after
+            <input className="w-20 border rounded-xl p-1" type="number" min={1}
+              value={leechThreshold}
+              onChange={(e) => onChangeLeechThreshold(Math.max(1, Number(e.target.value || 1)))} />
+            lapses
+          </label>
+          <p className="text-[11px] text-gray-500">A lapse is any grade that sends a card back to 0D/1D after it had reached a longer bucket.</p>
+        </div>
+
+        {/* Backlog */}
+        <div className="rounded-2xl border p-4 bg-gray-50 space-y-2">
+          <h4 className="font-semibold">Backlog recovery</h4>
+          <label className="flex items-center gap-2 text-sm">
+            Offer a recovery plan when overdue cards exceed
+            <input className="w-20 border rounded-xl p-1" type="number" min={1}
+              value={backlogDays}
+              onChange={(e) => onChangeBacklogDays(Math.max(1, Number(e.target.value || 1)))} />
+            days of the daily goal
+          </label>
+        </div>
+
+        {/* Schedule coupling */}
+        <div className="rounded-2xl border p-4 bg-gray-50 space-y-2">
+          <h4 className="font-semibold">Schedule coupling (slow ⇄ fast)</h4>
+          <label className="flex items-center gap-2 text-sm">
+            <input type="checkbox" checked={coupling.enabled} onChange={(e) => onChangeCoupling({ ...coupling, enabled: e.target.checked })} />
+            Let results on one schedule move the other
+          </label>
+          <div className={`grid gap-2 text-sm ${coupling.enabled ? "" : "opacity-50 pointer-events-none"}`}>
+            <label className="flex flex-wrap items-center gap-2">
+              <input type="checkbox" checked={coupling.push} onChange={(e) => onChangeCoupling({ ...coupling, push: e.target.checked })} />
+              A slow grade of at least
+              <input className="w-16 border rounded-xl p-1" type="number" min={1} value={coupling.pushMinDays}
+                onChange={(e) => onChangeCoupling({ ...coupling, pushMinDays: Number(e.target.value || 1) })} />
+              days pushes fast out to
+              <input className="w-16 border rounded-xl p-1" type="number" min={0} max={100} value={Math.round(coupling.pushFactor * 100)}
+                onChange={(e) => onChangeCoupling({ ...coupling, pushFactor: Number(e.target.value || 0) / 100 })} />
+              % of that interval
+            </label>
+            <label className="flex flex-wrap items-center gap-2">
+              <input type="checkbox" checked={coupling.pull} onChange={(e) => onChangeCoupling({ ...coupling, pull: e.target.checked })} />
+              A lapse on fast brings slow due within
+              <input className="w-16 border rounded-xl p-1" type="number" min={0} value={coupling.pullDays}
+                onChange={(e) => onChangeCoupling({ ...coupling, pullDays: Number(e.target.value || 0) })} />
+              days
+            </label>
+          </div>
+          <p className="text-[11px] text-gray-500">Due dates only ever move in the rule's direction; buckets are untouched. Cards show the last applied rule in View Verses.</p>
+        </div>
+
+        {/* Day rollover */}
+        <div className="rounded-2xl border p-4 bg-gray-50 space-y-2">
+          <h4 className="font-semibold">Day rollover</h4>
+          <label className="flex items-center gap-2 text-sm">
+            A new study day starts at
+            <select className="border rounded-xl p-1" value={dayRolloverHour}
+              onChange={(e) => onChangeDayRolloverHour(Number(e.target.value))}>
+              {Array.from({ length: 24 }, (_, h) => <option key={h} value={h}>{String(h).padStart(2, "0")}:00</option>)}
+            </select>
+            local time
+          </label>
+          <p className="text-[11px] text-gray-500">
+            Timezone: {(() => { try { return Intl.DateTimeFormat().resolvedOptions().timeZone || "local"; } catch { return "local"; } })()} · today is {todayKey()}.
+            Daily caps, goals, pauses and the bulk batch all use this day.
+          </p>
+        </div>
+
+        {/* What comes next */}
+        <div className="rounded-2xl border p-4 bg-gray-50 space-y-2">
+          <h4 className="font-semibold">What comes next</h4>
+          <div className="flex flex-wrap items-center gap-2 text-sm">
+            A right answer within
+            <input className="w-16 border rounded-xl p-1" type="number" min={1} value={nextChoice.fastSec}
+              onChange={(e) => onChangeNextChoice({ ...nextChoice, fastSec: Number(e.target.value || 1) })} />
+            s grades Easy, within
+            <input className="w-16 border rounded-xl p-1" type="number" min={1} value={nextChoice.slowSec}
+              onChange={(e) => onChangeNextChoice({ ...nextChoice, slowSec: Number(e.target.value || 1) })} />
+            s Good, slower Hard.
+          </div>
+          <p className="text-[11px] text-gray-500">A wrong pick suggests Again. On bucket ladders the grade maps around the card's fast step like Writing suggestions do.</p>
+        </div>
+
+        {/* References */}
+        <div className="rounded-2xl border p-4 bg-gray-50 space-y-2">
+          <h4 className="font-semibold">References</h4>
+          <label className="flex items-center gap-2 text-sm">
+            Show verse references
+            <select className="border rounded-xl p-1" value={refDisplay} onChange={(e) => onChangeRefDisplay(e.target.value)}>
+              <option value="original">as imported</option>
+              <option value="pt">in Portuguese (Filipenses 2:5)</option>
+              <option value="en">in English (Philippians 2:5)</option>
+              <option value="ko">in Korean (빌립보서 2:5)</option>
+            </select>
+          </label>
+          <p className="text-[11px] text-gray-500">Refs are parsed into book, chapter and verses for sorting, chapter grouping and duplicate checks; a ref without a book takes it from the pack name. Refs that can't be parsed are shown as imported.</p>
+        </div>
+
+        {/* Transition cards */}
+        <div className="rounded-2xl border p-4 bg-gray-50 space-y-2">
+          <h4 className="font-semibold">Transition cards</h4>
+          <div className="flex flex-wrap items-center gap-2 text-sm">
+            Show the last
+            <input className="w-16 border rounded-xl p-1" type="number" min={1} max={12} value={transitions.words}
+              onChange={(e) => onChangeTransitions({ ...transitions, words: Number(e.target.value || 1) })} />
+            words of a verse and ask for the first as many of the next.
+          </div>
+          <label className="flex items-center gap-2 text-sm">
+            <input type="checkbox" checked={transitions.inStats} onChange={(e) => onChangeTransitions({ ...transitions, inStats: e.target.checked })} />
+            Count transition cards in Stats
+          </label>
+          <p className="text-[11px] text-gray-500">One card per pair of consecutive verses in each pack, rebuilt whenever verses are imported, reordered or deleted. They have their own schedule and share the fast daily goal.</p>
+        </div>
+
         {/* NEW: Writing options */}
         <div className="rounded-2xl border p-4 bg-gray-50 space-y-2">
           <h4 className="font-semibold">Writing ▸ Smart comparison</h4>
@@ -2550,8 +5845,75 @@ function AdvancedModal({ sync, onClose, fmtTime, fileInputRef, importTxtFiles, e
             <label className="flex items-center gap-2"><input type="checkbox" checked={!!writingOpts.caseInsensitive} onChange={e => setOpt('caseInsensitive', e.target.checked)} /> Case-insensitive (A=a) <span className="text-xs text-gray-500">(off)</span></label>
             <label className="flex items-center gap-2"><input type="checkbox" checked={!!writingOpts.normalizeQuoteHyphen} onChange={e => setOpt('normalizeQuoteHyphen', e.target.checked)} /> Normalize quote/hyphen variants <span className="text-xs text-gray-500">(on)</span></label>
             <label className="flex items-center gap-2"><input type="checkbox" checked={!!writingOpts.stripZeroWidth} onChange={e => setOpt('stripZeroWidth', e.target.checked)} /> Strip zero-widths & NBSP <span className="text-xs text-gray-500">(on)</span></label>
+            <label className="flex items-center gap-2"><input type="checkbox" checked={!!writingOpts.ignoreDiacritics} onChange={e => setOpt('ignoreDiacritics', e.target.checked)} /> Ignore accents (vocês = voces) <span className="text-xs text-gray-500">(off)</span></label>
+            <label className="flex items-center gap-2"><input type="checkbox" checked={!!writingOpts.hangulJamo} onChange={e => setOpt('hangulJamo', e.target.checked)} /> Hangul partial credit by jamo <span className="text-xs text-gray-500">(off)</span></label>
+            <label className="flex items-center gap-2"><input type="checkbox" checked={!!writingOpts.accentHalfError} disabled={!!writingOpts.ignoreDiacritics} onChange={e => setOpt('accentHalfError', e.target.checked)} /> Accent-only slips = half error <span className="text-xs text-gray-500">(off)</span></label>
           </div>
           <p className="text-[11px] text-gray-500">These toggles affect comparison only. Your verse text stays unchanged; highlights are applied to your typed text.</p>
+          <label className="flex items-center gap-2 text-sm">
+            <input type="checkbox" checked={!!syncAttempts} onChange={(e) => onChangeSyncAttempts(e.target.checked)} />
+            Sync the writing attempt log alongside history
+          </label>
+          <div className="flex flex-wrap items-center gap-3 text-sm">
+            <label className="flex items-center gap-2">
+              Check while typing
+              <select className="border rounded-xl p-1" value={writingOpts.liveMode || "off"} onChange={(e) => setOpt('liveMode', e.target.value)}>
+                <option value="off">Off (check on Submit)</option>
+                <option value="live">Live (wrong words turn red)</option>
+                <option value="strict">Strict live (retype wrong words)</option>
+              </select>
+            </label>
+            {writingOpts.liveMode === "strict" && (
+              <label className="flex items-center gap-2">
+                Reveal after
+                <input className="w-16 border rounded-xl p-1" type="number" min={0}
+                  value={writingOpts.liveRevealAfter ?? 3}
+                  onChange={(e) => setOpt('liveRevealAfter', Math.max(0, Number(e.target.value || 0)))} />
+                misses (0 = never)
+              </label>
+            )}
+          </div>
+          <label className="flex items-center gap-2 text-sm">
+            Default feedback view
+            <select className="border rounded-xl p-1" value={writingOpts.diffView || "chars"} onChange={(e) => setOpt('diffView', e.target.value)}>
+              <option value="chars">Letters</option>
+              <option value="words">Words</option>
+            </select>
+          </label>
+          <div className="pt-2 border-t space-y-1">
+            <div className="text-sm font-medium">Cloze blanks</div>
+            <div className="flex flex-wrap items-center gap-3 text-sm">
+              <select className="border rounded-xl p-1" value={cloze.pattern} onChange={(e) => onChangeCloze({ ...cloze, pattern: e.target.value })}>
+                <option value="random">Random words</option>
+                <option value="nth">Every Nth word</option>
+                <option value="content">Content words only</option>
+              </select>
+              <label className="flex items-center gap-1">
+                from
+                <input className="w-16 border rounded-xl p-1" type="number" min={0} max={100} value={cloze.minPct}
+                  onChange={(e) => onChangeCloze({ ...cloze, minPct: Number(e.target.value || 0) })} />
+                % at 0D to
+                <input className="w-16 border rounded-xl p-1" type="number" min={0} max={100} value={cloze.maxPct}
+                  onChange={(e) => onChangeCloze({ ...cloze, maxPct: Number(e.target.value || 0) })} />
+                % at the top step
+              </label>
+            </div>
+            <p className="text-[11px] text-gray-500">Blanks are checked with the comparison options above; the same blanks are kept for a card all day.</p>
+          </div>
+          <div className="pt-2 border-t space-y-1">
+            <div className="text-sm font-medium">Suggested grade (minimum accuracy %)</div>
+            <div className="flex flex-wrap items-center gap-3 text-sm">
+              {[["gradeHard", "Hard"], ["gradeGood", "Good"], ["gradeEasy", "Easy"]].map(([k, name]) => (
+                <label key={k} className="flex items-center gap-1">
+                  {name} ≥
+                  <input className="w-16 border rounded-xl p-1" type="number" min={0} max={100}
+                    value={writingOpts[k] ?? defaultWritingOptions()[k]}
+                    onChange={(e) => setOpt(k, Math.min(100, Math.max(0, Number(e.target.value || 0))))} />
+                </label>
+              ))}
+            </div>
+            <p className="text-[11px] text-gray-500">Below Hard = Again. On bucket ladders: Again → first step, Hard → stay, Good → next step, Easy → two steps up. Enter picks the suggestion.</p>
+          </div>
         </div>
       </div>
     </div>
@@ -0,0 +1,48 @@
+/* Load plain-JS helpers from app.jsx for the node check scripts.
+   Every top-level declaration in app.jsx starts at column 0, so one runs
+   until the next column-0 line that doesn't close it. The requested names
+   and whatever they reference (transitively) are evaluated, in file order,
+   in a plain Function scope; JSX components are never reached.
+
+   loadAppHelpers(["diffCharsLCS"], { replace: { lcsPairs: "function lcsPairs…" } })
+   -> { diffCharsLCS, … } */
+const fs = require("fs");
+const path = require("path");
+
+const APP = fs.readFileSync(path.join(__dirname, "..", "app.jsx"), "utf8");
+
+// name → source of each top-level `function name` / `const|let|var name =`, in file order
+function topLevelDecls(src) {
+  const decls = new Map();
+  let name = null, buf = [];
+  const flush = () => { if (name && !decls.has(name)) decls.set(name, buf.join("\n")); name = null; buf = []; };
+  for (const line of src.split("\n")) {
+    if (/^[^\s}\])]/.test(line)) {
+      flush();
+      const m = line.match(/^(?:async\s+)?function\s*\*?\s*([\w$]+)|^(?:const|let|var)\s+([\w$]+)\s*=/);
+      if (m) name = m[1] || m[2];
+    }
+    if (name) buf.push(line);
+  }
+  flush();
+  return decls;
+}
+
+const stripComments = (s) => s.replace(/\/\*[\s\S]*?\*\//g, "").replace(/(^|[^:\\])\/\/.*$/gm, "$1");
+
+function loadAppHelpers(names, { replace = {} } = {}) {
+  const decls = topLevelDecls(APP);
+  for (const n of names) if (!decls.has(n)) throw new Error(`could not find ${n} in app.jsx`);
+  const source = (n) => (n in replace ? replace[n] : decls.get(n));
+  const need = new Set(names);
+  const queue = names.slice();
+  while (queue.length) {
+    for (const id of stripComments(source(queue.pop())).match(/[A-Za-z_$][\w$]*/g) || []) {
+      if (decls.has(id) && !need.has(id)) { need.add(id); queue.push(id); }
+    }
+  }
+  const body = Array.from(decls.keys()).filter((n) => need.has(n)).map(source);
+  return new Function(`${body.join("\n")}\nreturn { ${names.join(", ")} };`)();
+}
+
+module.exports = { loadAppHelpers };
@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+/* Checks for the workload-aware load balancer (seededRandom,
+   dueLoadByDay, pickBalancedInterval) in app.jsx:
+     - the same seed always gives the same day
+     - the least-loaded day in the jitter window is picked
+     - days at/over the daily cap are avoided while any day has room
+     - dueLoadByDay counts per whole-day offset and skips the graded card
+
+   usage: node scripts/balancer-check.js
+   Exits 1 on any failed check. */
+const { loadAppHelpers } = require("./app-helpers");
+
+const { seededRandom, dueLoadByDay, pickBalancedInterval, day } =
+  loadAppHelpers(["seededRandom", "dueLoadByDay", "pickBalancedInterval", "day"]);
+
+let failures = 0;
+function expect(label, ok, detail = "") {
+  console.log(`${ok ? "ok  " : "FAIL"} ${label}${detail ? ` (${detail})` : ""}`);
+  if (!ok) failures++;
+}
+
+// --- same seed, same day ---
+{
+  const a = seededRandom("card-1|2026-10-19"), b = seededRandom("card-1|2026-10-19");
+  const sa = Array.from({ length: 5 }, a), sb = Array.from({ length: 5 }, b);
+  expect("seededRandom repeats its sequence for a seed", sa.every((x, i) => x === sb[i]));
+  expect("seededRandom stays in [0, 1)", sa.every((x) => x >= 0 && x < 1));
+
+  // flat load: only the seeded tie-break decides between equally distant days
+  const flat = new Map();
+  const picks = Array.from({ length: 20 }, (_, i) => `card-${i}`).map((seed) => {
+    const first = pickBalancedInterval(30, 0.2, flat, 50, seed);
+    const again = pickBalancedInterval(30, 0.2, flat, 50, seed);
+    return { first, again };
+  });
+  expect("pickBalancedInterval gives the same day for the same seed", picks.every((p) => p.first === p.again));
+  expect("with a flat load it keeps the target day", picks.every((p) => p.first === 30));
+
+  // window 19..21: both neighbours are equally light and equally far from 20
+  const tied = new Map([[19, 1], [20, 9], [21, 1]]);
+  const days = new Set(Array.from({ length: 40 }, (_, i) => pickBalancedInterval(20, 0.05, tied, 50, `s${i}`)));
+  expect("equal load and distance are split by the seed", days.size === 2 && days.has(19) && days.has(21), [...days].join(","));
+}
+
+// --- least-loaded day ---
+{
+  const load = new Map([[8, 5], [9, 3], [10, 4], [11, 1], [12, 2]]);
+  const d = pickBalancedInterval(10, 0.2, load, 50, "x");
+  expect("picks the least-loaded day in the window", d === 11, `got ${d}`);
+
+  const outside = new Map([[8, 5], [9, 3], [10, 4], [11, 3], [12, 2], [13, 0], [7, 0]]);
+  const w = pickBalancedInterval(10, 0.2, outside, 50, "x");
+  expect("never leaves the jitter window", w >= 8 && w <= 12 && w === 12, `got ${w}`);
+
+  expect("no jitter keeps the interval", pickBalancedInterval(10, 0, load, 50, "x") === 10);
+  expect("Again (0 days) stays 0", pickBalancedInterval(0, 0.2, load, 50, "x") === 0);
+}
+
+// --- daily cap ---
+{
+  const cap = 3;
+  const load = new Map([[8, 3], [9, 4], [10, 3], [11, 2], [12, 5]]);
+  const d = pickBalancedInterval(10, 0.2, load, cap, "x");
+  expect("avoids days at/over the cap", (load.get(d) || 0) < cap, `got ${d}`);
+
+  const full = new Map([[8, 6], [9, 4], [10, 5], [11, 7], [12, 9]]);
+  const f = pickBalancedInterval(10, 0.2, full, cap, "x");
+  expect("with every day full it takes the least-loaded one", f === 9, `got ${f}`);
+
+  const noCap = pickBalancedInterval(10, 0.2, load, 0, "x");
+  expect("cap 0 means no cap", noCap === 11, `got ${noCap}`);
+}
+
+// --- dueLoadByDay ---
+{
+  const t = Date.UTC(2026, 9, 19, 12);
+  const card = (id, offsetDays) => ({ id, srs: { slow: { nextDue: t + offsetDays * day } } });
+  const cards = [card("a", 1), card("b", 1), card("c", 3), card("d", -2), card("e", 3.4)];
+  const load = dueLoadByDay(cards, "slow", "c", t);
+  expect("counts cards per whole-day offset", load.get(1) === 2 && load.get(3) === 1, JSON.stringify([...load]));
+  expect("overdue cards count as today", load.get(0) === 1);
+  expect("skips the excluded card", dueLoadByDay(cards, "slow", null, t).get(3) === 2);
+}
+
+if (failures) {
+  console.log(`FAIL (${failures})`);
+  process.exit(1);
+}
+console.log("OK");
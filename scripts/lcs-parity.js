@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+/* Parity + timing check for the Writing diff (diffCharsLCS).
+   Runs the current diffCharsLCS from app.jsx twice over every verse of
+   Filipenses_formatted.txt (plus mutated "typed" versions, a few Korean
+   verses, and a long passage typed as one piece), under several
+   normalizeForCompare option sets:
+     - new: as shipped (linear-space lcsPairs, Z-function prefixMatchLengths)
+     - old: the same code on the previous building blocks, i.e. the full
+       (m+1)×(n+1) LCS table with backtrack and the extend-from-every-start
+       head scan
+   and compares the whole result (runs, exact, missingHead*, missingTail*,
+   mid*, score).
+
+   The helpers are read from app.jsx by name (see app-helpers.js).
+
+   usage: node scripts/lcs-parity.js
+   Exits 1 on any mismatch. */
+const fs = require("fs");
+const path = require("path");
+const { loadAppHelpers } = require("./app-helpers");
+
+const root = path.join(__dirname, "..");
+
+// Previous building blocks
+function lcsPairsTable(aKeys, bKeys) {
+  const m = aKeys.length, n = bKeys.length;
+  const dp = Array.from({ length: m + 1 }, () => new Array(n + 1).fill(0));
+  for (let i = 1; i <= m; i++) {
+    for (let j = 1; j <= n; j++) {
+      if (aKeys[i - 1] === bKeys[j - 1]) dp[i][j] = dp[i - 1][j - 1] + 1;
+      else dp[i][j] = Math.max(dp[i - 1][j], dp[i][j - 1]);
+    }
+  }
+  const pairs = [];
+  let i = m, j = n;
+  while (i > 0 && j > 0) {
+    if (aKeys[i - 1] === bKeys[j - 1]) { pairs.push([i - 1, j - 1]); i--; j--; }
+    else if (dp[i - 1][j] >= dp[i][j - 1]) i--;
+    else j--;
+  }
+  return pairs.reverse();
+}
+
+// The old head scan extended a match from every start; as lengths per start it is this
+function prefixMatchLengthsScan(pat, text) {
+  const out = new Int32Array(text.length);
+  for (let s = 0; s < text.length; s++) {
+    let k = 0;
+    while (k < pat.length && s + k < text.length && pat[k] === text[s + k]) k++;
+    out[s] = k;
+  }
+  return out;
+}
+
+const NEW = loadAppHelpers(["diffCharsLCS", "defaultWritingOptions"]);
+const OLD = loadAppHelpers(["diffCharsLCS", "defaultWritingOptions"], {
+  replace: {
+    lcsPairs: `const lcsPairs = ${lcsPairsTable};`,
+    prefixMatchLengths: `const prefixMatchLengths = ${prefixMatchLengthsScan};`,
+  },
+});
+
+const verses = fs.readFileSync(path.join(root, "Filipenses_formatted.txt"), "utf8")
+  .split(/\r?\n/)
+  .filter((l) => l.trim())
+  .map((l) => l.replace(/^\S+\s+/, ""));
+
+// Philippians 1:1-3 in Korean, for the Hangul/jamo option
+const korean = [
+  "그리스도 예수의 종 바울과 디모데는 그리스도 예수 안에서 빌립보에 사는 모든 성도와 또한 감독들과 집사들에게 편지하노니",
+  "하나님 우리 아버지와 주 예수 그리스도로부터 은혜와 평강이 너희에게 있을지어다",
+  "내가 너희를 생각할 때마다 나의 하나님께 감사하며",
+];
+
+// Change the final consonant of every 4th Hangul syllable (a one-jamo slip)
+const jamoSlip = (v) => Array.from(v).map((ch, i) => {
+  const c = ch.codePointAt(0);
+  if (i % 4 || c < 0xac00 || c > 0xd7a3) return ch;
+  return String.fromCodePoint((c - 0xac00) % 28 === 4 ? c - 4 : c - ((c - 0xac00) % 28) + 4);
+}).join("");
+
+// Typed variants: exact, missed head, missed tail, accent slips, lost accents,
+// word order, case + punctuation, empty, fragment, jamo slips
+const mutations = [
+  (v) => v,
+  (v) => v.slice(10),
+  (v) => v.slice(0, -15),
+  (v) => v.replace(/e/g, "é"),
+  (v) => v.normalize("NFD").replace(/\p{M}/gu, ""),
+  (v) => v.split(" ").reverse().join(" "),
+  (v) => v.toLowerCase().replace(/[,.;:]/g, ""),
+  () => "",
+  (v) => v.slice(5, 40) + " xyz",
+  jamoSlip,
+];
+
+const optionSets = {
+  default: {},
+  accentHalfError: { accentHalfError: true },
+  hangulJamo: { hangulJamo: true },
+  loose: { collapseWS: true, ignorePunct: true, caseInsensitive: true, ignoreDiacritics: true },
+};
+
+let cases = 0, mismatches = 0;
+function check(typed, target, opts, label, timing) {
+  cases++;
+  let t = process.hrtime.bigint();
+  const a = JSON.stringify(OLD.diffCharsLCS(typed, target, opts));
+  timing.old += Number(process.hrtime.bigint() - t) / 1e6;
+  t = process.hrtime.bigint();
+  const b = JSON.stringify(NEW.diffCharsLCS(typed, target, opts));
+  timing.new += Number(process.hrtime.bigint() - t) / 1e6;
+  if (a !== b) {
+    mismatches++;
+    if (mismatches <= 3) console.log(`mismatch (${label}): ${JSON.stringify(typed.slice(0, 60))}`);
+  }
+}
+
+const whole = verses.slice(0, 30).join(" ");
+const typedWhole = whole.slice(30).replace(/a/g, "o");
+
+for (const [setName, extra] of Object.entries(optionSets)) {
+  const opts = { ...NEW.defaultWritingOptions(), ...extra };
+  const timing = { old: 0, new: 0 };
+  const before = cases;
+  for (const [list, lang] of [[verses, "pt"], [korean, "ko"]]) {
+    list.forEach((v, i) => mutations.forEach((mut, k) => check(mut(v), v, opts, `${setName}, ${lang} verse ${i + 1}, mutation ${k}`, timing)));
+  }
+  console.log(`${setName}: ${cases - before} cases · table ${timing.old.toFixed(1)} ms · linear ${timing.new.toFixed(1)} ms`);
+
+  const passage = { old: 0, new: 0 };
+  check(typedWhole, whole, opts, `${setName}, passage`, passage);
+  console.log(`  passage of ${whole.length} chars: table ${passage.old.toFixed(1)} ms · linear ${passage.new.toFixed(1)} ms`);
+}
+
+console.log(`verses: ${verses.length} pt + ${korean.length} ko · option sets: ${Object.keys(optionSets).length} · cases: ${cases} · mismatches: ${mismatches}`);
+console.log(`old LCS table for the passage: ${(typedWhole.length + 1) * (whole.length + 1)} cells; linear buffers: ~${2 * (whole.length + typedWhole.length)} numbers`);
+
+if (mismatches) {
+  console.log("FAIL");
+  process.exit(1);
+}
+console.log("OK");